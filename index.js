@@ -4,26 +4,60 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const https = require('https');
-const GAMES_FILE = path.join(__dirname, 'games.json');
-const LOG_FILE = path.join(__dirname, 'schedule.log');
+const crypto = require('crypto');
+// 資料檔案所在的資料夾（預設為程式所在資料夾，測試時指向暫存資料夾）
+const STORAGE_DIR = process.env.STORAGE_DIR || __dirname;
+const GAMES_FILE = path.join(STORAGE_DIR, 'games.json');
+const GAMES_BACKUP_FILE = path.join(STORAGE_DIR, 'games.json.bak');
+const GAMES_JOURNAL_FILE = path.join(STORAGE_DIR, 'games.journal');
+const GAMES_JOURNAL_COMPACTING_FILE = path.join(STORAGE_DIR, 'games.journal.compacting');
+const GAMES_COMPACT_INTERVAL_MS = 60 * 1000;       // 最多每分鐘整份重寫一次 games.json
+const GAMES_JOURNAL_MAX_BYTES = 1024 * 1024;       // 日誌超過 1MB 時立即壓縮
+const LOG_FILE = path.join(STORAGE_DIR, 'schedule.log');
+const ATTENDANCE_FILE = path.join(STORAGE_DIR, 'attendance.json');
+const HISTORY_FILE = path.join(STORAGE_DIR, 'history.json');
+const RATINGS_FILE = path.join(STORAGE_DIR, 'ratings.json');
+const API_TOKENS_FILE = path.join(STORAGE_DIR, 'api-tokens.json');
+const JOBS_FILE = path.join(STORAGE_DIR, 'jobs.json');
 
-// --- 名單快照 CSV（最精簡，使用 GitHub 儲存） ---
-// 位置：data/registrations.csv（GitHub）
-// 欄位：gid,sectionIdx,name
-const DATA_DIR = path.join(__dirname, 'data');
+// --- 接龍快照（完整 JSON，可同步到 GitHub） ---
+// 位置：data/state.json（本地與 GitHub）
+// 格式：{ version, savedAt, games }，games 為完整的接龍資料（標題、備註、排程、區段、匿名、付款…）
+// 重新部署後以快照還原；找不到 JSON 快照時改讀舊版 CSV 快照並升級
+const DATA_DIR = path.join(STORAGE_DIR, 'data');
+const STATE_SNAPSHOT_FILE = path.join(DATA_DIR, 'state.json');
+const SNAPSHOT_VERSION = 1;
+// 舊版 CSV 快照（欄位：gid,sectionIdx,name,limit,backupLimit,sectionTitle,label,count,paid），只用於升級
 const REG_CSV_FILE = path.join(DATA_DIR, 'registrations.csv');
-const REG_CSV_BACKUP_DIR = path.join(DATA_DIR, 'backups');
+
+// --- 每日備份 ---
+// 每天第一次寫入快照時另存一份 state-YYYY-MM-DD.json（GitHub 模式存在倉庫、資料庫模式存在資料表）
+// 保留最近 BACKUP_KEEP_DAILY 份每日備份，以及最近 BACKUP_KEEP_MONTHLY 個月各月最後一份
+// 舊版的 registrations-YYYY-MM-DD.csv 備份仍可列出與還原
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const BACKUP_KEEP_DAILY = Math.max(1, parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 30);
+const BACKUP_KEEP_MONTHLY = Math.max(0, parseInt(process.env.BACKUP_KEEP_MONTHLY ?? '12', 10) || 0);
+const RESTORE_CONFIRM_MS = 5 * 60 * 1000;           // 還原預覽的有效時間
 
 // GitHub 設定（從環境變數讀取）
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const GITHUB_OWNER = process.env.GITHUB_OWNER || process.env.GITHUB_REPOSITORY?.split('/')[0];
 const GITHUB_REPO = process.env.GITHUB_REPO || process.env.GITHUB_REPOSITORY?.split('/')[1];
-const GITHUB_CSV_PATH = process.env.GITHUB_CSV_PATH || 'data/registrations.csv';
+const GITHUB_STATE_PATH = process.env.GITHUB_STATE_PATH || 'data/state.json';
+const GITHUB_CSV_PATH = process.env.GITHUB_CSV_PATH || 'data/registrations.csv'; // 舊版 CSV 快照，只用於升級
+const GITHUB_HISTORY_PATH = process.env.GITHUB_HISTORY_PATH || 'data/history.json';
+const GITHUB_BACKUP_DIR = process.env.GITHUB_BACKUP_DIR || 'data/backups';
+const GITHUB_DATA_DIR = process.env.GITHUB_DATA_DIR || 'data'; // 出席紀錄、積分、API 金鑰、排程工作
 const GITHUB_BRANCH = process.env.GITHUB_BRANCH || 'main';
+const GITHUB_SYNC_RETRY_BASE_MS = 60 * 1000;       // 同步失敗後第一次重試間隔，之後每次加倍
+const GITHUB_SYNC_RETRY_MAX_MS = 30 * 60 * 1000;   // 重試間隔上限
+const GITHUB_SYNC_CONFLICT_LIMIT = 20;             // 保留最近幾筆合併衝突紀錄
+const GITHUB_STATUS_CACHE_MS = 5 * 60 * 1000;      // GitHub 連線測試結果的暫存時間
+const GITHUB_COLLECTION_SYNC_MS = 30 * 1000;       // 資料集合合併寫入 GitHub 的間隔，避免每次異動都產生提交
 const USE_GITHUB = !!(GITHUB_TOKEN && GITHUB_OWNER && GITHUB_REPO);
 
 if (USE_GITHUB) {
-  console.log(`✅ 使用 GitHub 儲存 CSV: ${GITHUB_OWNER}/${GITHUB_REPO}/${GITHUB_CSV_PATH}`);
+  console.log(`✅ 使用 GitHub 儲存接龍快照: ${GITHUB_OWNER}/${GITHUB_REPO}/${GITHUB_STATE_PATH}`);
   console.log(`   分支: ${GITHUB_BRANCH}`);
   console.log(`   Token: ${GITHUB_TOKEN ? GITHUB_TOKEN.substring(0, 8) + '...' : '未設定'}`);
 } else {
@@ -35,18 +69,8 @@ if (USE_GITHUB) {
   console.log(`     GITHUB_REPO: ${GITHUB_REPO || '❌ 未設定'}`);
 }
 
-let regCsvWriteChain = Promise.resolve(); // 併發保護：所有寫入串成單一 Promise 佇列
-let regCsvLastBackupYMD = null;
-let regCsvContent = ''; // 快取 CSV 內容（用於 GitHub 模式）
-let regCsvSha = null; // GitHub 檔案的 SHA（用於更新）
-
-function csvEscape(v) {
-  if (v === null || v === undefined) return '';
-  const s = String(v);
-  // 有逗號、引號、換行就必須用雙引號包起來，並把引號變成兩個引號
-  if (/[",\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
+let snapshotWriteChain = Promise.resolve(); // 併發保護：所有快照寫入串成單一 Promise 佇列
+let lastBackupYMD = null;
 
 function ymd(date) {
   const y = date.getFullYear();
@@ -119,218 +143,152 @@ async function githubApiRequest(method, endpoint, data = null) {
   });
 }
 
-// 從 GitHub 讀取 CSV
-async function loadCsvFromGitHub() {
-  if (!USE_GITHUB) {
-    console.log('⚠️  GitHub 模式未啟用，跳過讀取');
-    return null;
-  }
-  
+// 讀取 GitHub 倉庫中的檔案，不存在時回傳 null
+async function readGitHubFile(filePath) {
   try {
-    const endpoint = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(GITHUB_CSV_PATH)}?ref=${GITHUB_BRANCH}`;
-    console.log(`📥 從 GitHub 讀取 CSV: ${GITHUB_OWNER}/${GITHUB_REPO}/${GITHUB_CSV_PATH}`);
-    const response = await githubApiRequest('GET', endpoint);
-    
-    if (response.content) {
-      // GitHub API 返回 base64 編碼的內容
-      const content = Buffer.from(response.content, 'base64').toString('utf8');
-      regCsvSha = response.sha;
-      regCsvContent = content;
-      const recordCount = content.split('\n').length - 1; // 減去標題行
-      console.log(`✅ 從 GitHub 載入 CSV: ${recordCount} 筆記錄`);
-      logToFile(`[SUCCESS] Loaded CSV from GitHub: ${recordCount} records`);
-      return content;
-    } else {
-      throw new Error('GitHub API 回應中沒有 content 欄位');
-    }
+    const response = await githubApiRequest('GET', `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(filePath)}?ref=${GITHUB_BRANCH}`);
+    return { content: Buffer.from(response.content || '', 'base64').toString('utf8'), sha: response.sha };
   } catch (e) {
-    if (e.message.includes('404') || e.message.includes('Not Found')) {
-      console.log('ℹ️  GitHub 上尚未有 CSV 檔案，將建立新檔案');
-      regCsvContent = 'gid,sectionIdx,name\n';
-      regCsvSha = null; // 新檔案沒有 SHA
-      return null;
-    }
-    console.error('❌ 從 GitHub 讀取 CSV 失敗:', e.message);
-    console.error('   端點:', `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${GITHUB_CSV_PATH}`);
-    logToFile(`[ERROR] Failed to load CSV from GitHub: ${e.message}`);
-    
-    // 如果讀取失敗，嘗試從本地檔案載入（如果有）
-    try {
-      if (fs.existsSync(REG_CSV_FILE)) {
-        const localContent = await fs.promises.readFile(REG_CSV_FILE, 'utf8');
-        regCsvContent = localContent;
-        console.log('⚠️  已從本地檔案載入 CSV（GitHub 讀取失敗）');
-        return localContent;
-      }
-    } catch (localError) {
-      console.error('❌ 本地檔案載入也失敗:', localError.message);
-    }
-    
-    return null;
+    if (e.message.includes('404')) return null;
+    throw e;
   }
 }
 
-// 寫入 CSV 到 GitHub
-async function writeCsvToGitHub(content, message = 'Update registrations.csv', allowRetry = true) {
-  if (!USE_GITHUB) {
-    console.log('⚠️  GitHub 模式未啟用，跳過寫入');
-    return false;
-  }
-  
-  try {
-    const endpoint = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(GITHUB_CSV_PATH)}`;
-    const encodedContent = Buffer.from(content, 'utf8').toString('base64');
-    
-    const data = {
-      message: message,
-      content: encodedContent,
-      branch: GITHUB_BRANCH
-    };
-    
-    if (regCsvSha) {
-      data.sha = regCsvSha; // 更新現有檔案需要 SHA
-      console.log(`📝 更新 GitHub CSV (SHA: ${regCsvSha.substring(0, 8)}...)`);
-    } else {
-      console.log(`📝 建立新 GitHub CSV 檔案`);
-    }
-    
-    const response = await githubApiRequest('PUT', endpoint, data);
-    
-    if (response.content && response.content.sha) {
-      regCsvSha = response.content.sha;
-      regCsvContent = content;
-      console.log(`✅ CSV 已寫入 GitHub (${content.split('\n').length - 1} 筆記錄)`);
-      logToFile(`[SUCCESS] CSV written to GitHub: ${content.split('\n').length - 1} records`);
-      return true;
-    } else {
-      throw new Error('GitHub API 回應格式錯誤：缺少 content.sha');
-    }
-  } catch (e) {
-    // 若遇到 SHA 衝突（409），先重新載入最新檔案再重試一次
-    const isShaConflict = String(e.message).includes('409') || String(e.message).includes('does not match');
-    if (isShaConflict && allowRetry) {
-      console.warn('⚠️  偵測到 GitHub SHA 衝突，重新載入後重試一次');
-      try {
-        await loadCsvFromGitHub();
-      } catch (reloadErr) {
-        console.error('❌ 重新載入 GitHub CSV 失敗:', reloadErr.message);
-      }
-      return await writeCsvToGitHub(content, message, false);
-    }
-
-    console.error('❌ 寫入 CSV 到 GitHub 失敗:', e.message);
-    console.error('   端點:', `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${GITHUB_CSV_PATH}`);
-    console.error('   分支:', GITHUB_BRANCH);
-    logToFile(`[ERROR] Failed to write CSV to GitHub: ${e.message}`);
-    
-    // 如果寫入失敗，降級到本地檔案模式（至少保留資料）
+// 寫入 GitHub 倉庫中的檔案，回傳 { sha, content }
+// SHA 過期（其他實例或手動修改過）時重新讀取遠端內容，交給 merge(遠端內容) 合併後重試，不直接覆蓋
+async function writeGitHubFile(filePath, content, sha, message, merge, attempts = 3) {
+  const endpoint = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(filePath)}`;
+  let body = content;
+  let currentSha = sha;
+  for (let attempt = 1; ; attempt++) {
+    const data = { message, content: Buffer.from(body, 'utf8').toString('base64'), branch: GITHUB_BRANCH };
+    if (currentSha) data.sha = currentSha;
     try {
-      await fs.promises.mkdir(DATA_DIR, { recursive: true });
-      await fs.promises.writeFile(REG_CSV_FILE, content, 'utf8');
-      console.log('⚠️  已降級到本地檔案模式儲存');
-      logToFile(`[WARN] Fallback to local file storage`);
-    } catch (fallbackError) {
-      console.error('❌ 本地檔案備份也失敗:', fallbackError.message);
+      const response = await githubApiRequest('PUT', endpoint, data);
+      return { sha: response.content && response.content.sha, content: body };
+    } catch (e) {
+      // 409：SHA 過期；422：檔案已存在但沒有提供 SHA
+      const isConflict = /\b(409|422)\b/.test(e.message) || String(e.message).includes('does not match');
+      if (!isConflict || attempt >= attempts) throw e;
+      console.warn(`⚠️  GitHub 檔案 ${filePath} 已被修改，重新讀取後合併`);
+      const latest = await readGitHubFile(filePath);
+      currentSha = latest ? latest.sha : null;
+      body = merge(latest ? latest.content : null);
     }
-    
-    return false;
   }
 }
 
-async function ensureRegCsvReady() {
-  if (USE_GITHUB) {
-    // GitHub 模式：確保已載入內容
-    if (!regCsvContent) {
-      await loadCsvFromGitHub();
-      if (!regCsvContent) {
-        regCsvContent = 'gid,sectionIdx,name,limit,backupLimit\n';
-      }
-    }
-  } else {
-    // 本地檔案模式
-    await fs.promises.mkdir(DATA_DIR, { recursive: true });
-    const exists = fs.existsSync(REG_CSV_FILE);
-    if (!exists) {
-      const header = 'gid,sectionIdx,name,limit,backupLimit\n';
-      await fs.promises.writeFile(REG_CSV_FILE, header, 'utf8');
-    }
-  }
+// 以接龍為單位合併快照：changed 中的接龍採用本地內容（本地已刪除則刪除），其餘保留遠端內容
+function mergeStateSnapshots(local, remote, changed) {
+  const merged = { version: SNAPSHOT_VERSION, savedAt: local.savedAt, games: Object.assign({}, remote ? remote.games : {}) };
+  changed.forEach((gid) => {
+    if (local.games[gid]) merged.games[gid] = local.games[gid];
+    else delete merged.games[gid];
+  });
+  return merged;
+}
+
+// 合併兩份場次封存：同一群組的場次取聯集（以結束時間與接龍編號辨識），依結束時間排序
+function mergeHistory(local, remote) {
+  const merged = {};
+  new Set([...Object.keys(remote || {}), ...Object.keys(local)]).forEach((chatId) => {
+    const byKey = new Map();
+    [...((remote || {})[chatId] || []), ...(local[chatId] || [])].forEach((session) => {
+      byKey.set(`${session.endedAt}:${session.shortId}`, session);
+    });
+    merged[chatId] = Array.from(byKey.values()).sort((a, b) => a.endedAt - b.endedAt).slice(-SESSION_HISTORY_LIMIT);
+  });
+  return merged;
 }
 
-async function maybeBackupRegCsv(now = new Date()) {
+// 每天只備份一次：今天已有備份就跳過，新增備份後依保留規則清除舊備份
+async function maybeBackupState(state, now = new Date()) {
   const today = ymd(now);
-  if (regCsvLastBackupYMD === today) return;
-  regCsvLastBackupYMD = today;
+  if (lastBackupYMD === today) return;
 
   try {
-    // 沒有檔案就不備份
-    if (!fs.existsSync(REG_CSV_FILE)) return;
-    await fs.promises.mkdir(REG_CSV_BACKUP_DIR, { recursive: true });
-    const backupPath = path.join(REG_CSV_BACKUP_DIR, `registrations-${today}.csv`);
-    // 同一天只備份一次（若已存在就跳過）
-    if (fs.existsSync(backupPath)) return;
-    await fs.promises.copyFile(REG_CSV_FILE, backupPath);
+    const dates = await storage.listBackups();
+    if (dates.includes(today)) {
+      lastBackupYMD = today;
+      return;
+    }
+    await storage.saveBackup(today, state);
+    // 備份成功才記錄，失敗時下次保存快照會再試
+    lastBackupYMD = today;
+    logToFile(`[SUCCESS] Daily backup saved: ${today}`);
+    const keep = selectBackupsToKeep([...dates, today]);
+    for (const date of dates.filter(d => !keep.has(d))) {
+      await storage.deleteBackup(date);
+      logToFile(`[INFO] Pruned backup ${date}`);
+    }
   } catch (e) {
-    console.error('Failed to backup registrations.csv:', e);
-    logToFile(`[WARN] Failed to backup registrations.csv: ${e.message}`);
+    console.error('❌ 每日備份失敗:', e);
+    logToFile(`[WARN] Failed to back up state: ${e.message}`);
   }
 }
 
-// 保存當前接龍名單快照到 CSV（只記錄當前狀態，不記錄歷史操作）
-async function saveCurrentListSnapshot(gid, waitForWrite = false) {
-  const rows = [];
-  const gids = Object.keys(games);
-  
-  // 建立 CSV 內容：只記錄當前名單中的每個人（所有群組）
-  gids.forEach((currentGid) => {
-    const g = games[currentGid];
-    if (!g || !g.sections) return;
-    g.sections.forEach((section, sectionIdx) => {
-      section.list.forEach((name) => {
-        // 只記錄實名，不記錄匿名占位符
-        if (name !== '__ANON__') {
-          rows.push([
-            currentGid || '',
-            String(sectionIdx),
-            name || '',
-            String(section.limit || ''),
-            String(section.backupLimit ?? '')
-          ].map(csvEscape).join(','));
-        }
-      });
-    });
+// 保留規則：最近 BACKUP_KEEP_DAILY 份每日備份，加上最近 BACKUP_KEEP_MONTHLY 個月各月最新的一份
+function selectBackupsToKeep(dates) {
+  const sorted = Array.from(new Set(dates)).sort().reverse();
+  const keep = new Set(sorted.slice(0, BACKUP_KEEP_DAILY));
+  const months = new Set();
+  sorted.forEach((date) => {
+    const month = date.slice(0, 7);
+    if (months.has(month) || months.size >= BACKUP_KEEP_MONTHLY) return;
+    months.add(month);
+    keep.add(date);
   });
+  return keep;
+}
 
-  const csvContent = 'gid,sectionIdx,name,limit,backupLimit\n' + (rows.length > 0 ? rows.join('\n') + '\n' : '');
-  
-  const writePromise = regCsvWriteChain
+// 目前全部接龍的完整快照；不含操作紀錄（每筆都帶異動前的名單，快照與每日備份會大上數十倍）
+function buildStateSnapshot() {
+  const state = {};
+  Object.keys(games).forEach((gid) => {
+    const { opLog, ...game } = games[gid];
+    state[gid] = game;
+  });
+  return { version: SNAPSHOT_VERSION, savedAt: Date.now(), games: JSON.parse(JSON.stringify(state)) };
+}
+
+// 各版本的升級函式：SNAPSHOT_MIGRATIONS[n] 把第 n 版升到第 n+1 版（第 0 版為舊版 CSV 快照 { csv }）
+const SNAPSHOT_MIGRATIONS = {
+  0: (snap) => ({ version: 1, savedAt: null, games: gamesFromCsv(snap.csv) })
+};
+
+function upgradeSnapshot(snap) {
+  let current = snap;
+  while ((current.version || 0) < SNAPSHOT_VERSION) {
+    const migrate = SNAPSHOT_MIGRATIONS[current.version || 0];
+    if (!migrate) throw new Error(`無法升級第 ${current.version} 版快照`);
+    current = migrate(current);
+  }
+  if (current.version > SNAPSHOT_VERSION) {
+    throw new Error(`快照版本 ${current.version} 比目前支援的版本 ${SNAPSHOT_VERSION} 新，請先更新程式`);
+  }
+  return current;
+}
+
+// 保存全部接龍的完整快照（只記錄當前狀態，不記錄歷史操作；gid 只用於提交訊息）
+async function saveCurrentListSnapshot(gid, waitForWrite = false) {
+  const label = gid ? (games[gid]?.title || gid) : 'all-groups';
+  const writePromise = snapshotWriteChain
     .then(async () => {
       try {
-        await ensureRegCsvReady();
-        
-        if (USE_GITHUB) {
-          const label = gid ? (games[gid]?.title || gid) : 'all-groups';
-          console.log(`📝 保存接龍名單快照到 GitHub: ${label} (${rows.length} 人)`);
-          const success = await writeCsvToGitHub(csvContent, `Update current list snapshot: ${label}`);
-          
-          if (!success) {
-            throw new Error('GitHub 寫入失敗');
-          }
-        } else {
-          // 本地檔案模式：覆蓋寫入（不是追加）
-          await fs.promises.writeFile(REG_CSV_FILE, csvContent, 'utf8');
-          const label = gid ? (games[gid]?.title || gid) : 'all-groups';
-          console.log(`✅ 已保存接龍名單快照: ${label} (${rows.length} 人)`);
-        }
+        // 排隊期間可能又有異動，輪到寫入時才建立快照
+        const state = buildStateSnapshot();
+        await storage.saveSnapshot(state, `Update state snapshot: ${label}`);
+        console.log(`✅ 已保存接龍快照: ${label} (${Object.keys(state.games).length} 個接龍)`);
+        await maybeBackupState(state);
       } catch (e) {
-        console.error('❌ Failed to save list snapshot:', e);
-        logToFile(`[ERROR] Failed to save list snapshot: ${e.message}`);
+        console.error('❌ Failed to save state snapshot:', e);
+        logToFile(`[ERROR] Failed to save state snapshot: ${e.message}`);
         throw e;
       }
     });
 
-  regCsvWriteChain = writePromise.catch((e) => {
-    console.error('⚠️  CSV 寫入鏈中的錯誤（已記錄，繼續處理）:', e.message);
+  snapshotWriteChain = writePromise.catch((e) => {
+    console.error('⚠️  快照寫入鏈中的錯誤（已記錄，繼續處理）:', e.message);
   });
 
   if (waitForWrite) {
@@ -370,17 +328,11 @@ function parseCsvLine(line) {
   return result;
 }
 
-async function restoreGamesFromCsv() {
-  if (Object.keys(games).length > 0) return false;
-
-  let content = regCsvContent;
-  if (!content && fs.existsSync(REG_CSV_FILE)) {
-    content = await fs.promises.readFile(REG_CSV_FILE, 'utf8');
-  }
-  if (!content) return false;
-
-  const lines = content.trim().split(/\r?\n/);
-  if (lines.length <= 1) return false;
+// 舊版 CSV 快照轉為接龍資料（CSV 沒有的欄位使用預設值，匿名無法還原）
+function gamesFromCsv(content) {
+  const restored = {};
+  const lines = String(content || '').trim().split(/\r?\n/);
+  if (lines.length <= 1) return restored;
 
   const header = parseCsvLine(lines[0]).map(h => h.trim().toLowerCase());
   const idxGid = header.indexOf('gid');
@@ -388,13 +340,17 @@ async function restoreGamesFromCsv() {
   const idxName = header.indexOf('name');
   const idxLimit = header.indexOf('limit');
   const idxBackup = header.indexOf('backuplimit');
+  const idxSectionTitle = header.indexOf('sectiontitle');
+  const idxLabel = header.indexOf('label');
+  const idxPaid = header.indexOf('paid');
 
   if (idxGid < 0 || idxSection < 0 || idxName < 0) {
-    return false;
+    return restored;
   }
 
   const byGid = new Map();
   const metaByGid = new Map();
+  const paidByGid = new Map();
 
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -434,14 +390,22 @@ async function restoreGamesFromCsv() {
         sectionMeta.backupLimit = Math.max(sectionMeta.backupLimit || 0, rawBackup);
       }
     }
+    if (idxSectionTitle >= 0 && cols[idxSectionTitle]) {
+      sectionMeta.title = cols[idxSectionTitle].trim();
+    }
+    if (idxLabel >= 0 && cols[idxLabel]) {
+      sectionMeta.label = cols[idxLabel].trim();
+    }
+    if (idxPaid >= 0 && (cols[idxPaid] || '').trim() === '1') {
+      if (!paidByGid.has(gid)) paidByGid.set(gid, {});
+      paidByGid.get(gid)[name] = { uid: null, time: Date.now() };
+    }
     const list = sectionMap.get(safeSectionIdx);
     if (!list.includes(name)) {
       list.push(name);
     }
   }
 
-  if (byGid.size === 0) return false;
-
   for (const [gid, sectionMap] of byGid.entries()) {
     const sectionIndices = Array.from(sectionMap.keys());
     const maxIdx = Math.max(...sectionIndices, 0);
@@ -452,14 +416,14 @@ async function restoreGamesFromCsv() {
       const meta = metaMap.get(idx) || {};
       const limit = meta.limit || Math.max(20, list.length);
       sections.push({
-        title: idx === 0 ? '報名名單' : `區段${idx + 1}`,
+        title: meta.title || (idx === 0 ? '報名名單' : `區段${idx + 1}`),
         limit: limit,
         backupLimit: meta.backupLimit ?? 5,
-        label: '',
+        label: meta.label || '',
         list: list
       });
     }
-    games[gid] = {
+    restored[gid] = {
       title: '羽球接龍',
       note: '',
       active: true,
@@ -469,14 +433,113 @@ async function restoreGamesFromCsv() {
       scheduleInput: null,
       anonymous: [],
       anonymousCount: 0,
+      paid: paidByGid.get(gid) || {},
       sections: sections
     };
-    await saveGame(gid, true);
   }
 
+  return restored;
+}
+
+// 沒有任何接龍資料時（例如重新部署後的全新環境）從快照還原，舊版快照會先升級
+async function restoreGamesFromSnapshot() {
+  if (Object.keys(games).length > 0) return false;
+  const raw = await storage.loadSnapshot();
+  if (!raw) return false;
+  const snap = upgradeSnapshot(raw);
+  const gids = Object.keys(snap.games || {});
+  if (gids.length === 0) return false;
+
+  gids.forEach((gid) => {
+    games[gid] = snap.games[gid];
+  });
+  for (const gid of gids) {
+    await saveGame(gid);
+  }
+  await flushGameSaves();
+  // 從舊版升級時立即寫入新格式
+  if ((raw.version || 0) < SNAPSHOT_VERSION) {
+    await saveCurrentListSnapshot(null, true);
+  }
+  logToFile(`[SUCCESS] Restored ${gids.length} games from snapshot v${raw.version || 0}`);
   return true;
 }
 
+// 還原備份前的預覽：管理員 UID → { date, groupId, games, expiresAt }，確認後才套用
+const pendingRestores = new Map();
+
+// 讀取備份並比對目前的接龍，回傳待確認的還原內容與預覽文字；groupId 為 null 表示全部群組
+async function prepareBackupRestore(date, groupId) {
+  const raw = await storage.loadBackup(date);
+  if (!raw) return { error: `❌ 找不到 ${date} 的備份，請輸入「備份列表」查看可用的備份` };
+  const snap = upgradeSnapshot(raw);
+  const inScope = (gid) => !groupId || groupIdOf(gid) === groupId;
+  const restored = {};
+  Object.keys(snap.games || {}).filter(inScope).forEach((gid) => {
+    restored[gid] = snap.games[gid];
+  });
+  const gids = Array.from(new Set([...Object.keys(games).filter(inScope), ...Object.keys(restored)])).sort();
+  if (gids.length === 0) return { error: `📭 ${date} 的備份中沒有${groupId ? `群組 ${groupId} 的` : ''}接龍` };
+
+  const headcount = (g) => g.sections.reduce((sum, sec) => sum + sec.list.length, 0);
+  // 操作紀錄、現場排隊與最後活動時間不算內容差異
+  const comparable = (g) => {
+    const { opLog, opSeq, courtQueue, lastActiveTime, ...state } = g;
+    return JSON.stringify(state);
+  };
+  let msg = `🗂️ 還原預覽：${date} 的備份（${groupId ? `群組 ${groupId}` : '全部群組'}）`;
+  gids.forEach((gid) => {
+    const current = games[gid];
+    const backup = restored[gid];
+    const title = (current || backup).title || '未命名';
+    if (!backup) msg += `\n➖ ${title} (${gid})：目前 ${headcount(current)} 人 → 備份中沒有，將刪除`;
+    else if (!current) msg += `\n➕ ${title} (${gid})：目前沒有 → 還原為 ${headcount(backup)} 人`;
+    else if (comparable(current) === comparable(backup)) msg += `\n✔️ ${title} (${gid})：與備份相同`;
+    else msg += `\n🔁 ${title} (${gid})：目前 ${headcount(current)} 人 → 還原為 ${headcount(backup)} 人`;
+  });
+  msg += `\n\n輸入「確認還原」套用（${RESTORE_CONFIRM_MS / 60000} 分鐘內有效），已存在的接龍還原後可用「接龍復原」撤銷`;
+  return { restore: { date, groupId, games: restored, gids, expiresAt: Date.now() + RESTORE_CONFIRM_MS }, preview: msg };
+}
+
+// 套用還原：範圍內的接龍改為備份內容，備份中沒有的刪除
+// 已存在的接龍保留操作紀錄與現場排隊（同「接龍復原」），並記錄一筆「還原備份」
+// 回傳已處理的接龍 [{ gid, title, deleted }]；中途失敗時拋出的錯誤帶有 restored，列出失敗前已處理的接龍
+async function applyBackupRestore(restore, uid) {
+  const restored = [];
+  try {
+    for (const gid of restore.gids) {
+      const backup = restore.games[gid];
+      if (!backup) {
+        if (games[gid]) {
+          const title = games[gid].title;
+          await deleteGame(gid);
+          restored.push({ gid, title, deleted: true });
+        }
+        continue;
+      }
+      const before = games[gid] ? snapshotGame(gid, true) : null;
+      const kept = games[gid] ? { opLog: games[gid].opLog, opSeq: games[gid].opSeq, courtQueue: games[gid].courtQueue } : {};
+      games[gid] = Object.assign(JSON.parse(JSON.stringify(backup)), kept);
+      if (before) recordOperation(gid, uid, '還原備份', before, restore.date);
+      await saveGame(gid);
+      restored.push({ gid, title: backup.title, deleted: false });
+    }
+    await flushGameSaves();
+  } catch (e) {
+    logToFile(`[ERROR] Restoring backup ${restore.date} failed after ${restored.length} games: ${e.message}`);
+    e.restored = restored;
+    throw e;
+  }
+  await saveCurrentListSnapshot(null, true).catch(() => {});
+  logToFile(`[SUCCESS] Restored backup ${restore.date} (${restore.groupId || 'all groups'}): ${restored.length} games by ${uid}`);
+  return restored;
+}
+
+function describeRestoredGames(restored) {
+  if (restored.length === 0) return '（無）';
+  return restored.map(r => `\n${r.deleted ? '➖' : '✔️'} ${r.title || '未命名'} (${r.gid})${r.deleted ? '：已刪除' : ''}`).join('');
+}
+
 // 強制以台灣時間運行（台北時區），避免顯示成 UTC
 if (!process.env.TZ) process.env.TZ = 'Asia/Taipei';
 
@@ -553,8 +616,24 @@ if (!config.channelAccessToken || !config.channelSecret) {
 const client = new Client(config);
 const app = express();
 
+// 部署在反向代理（例如 Render）之後時，以 X-Forwarded-For 取得真正的用戶端 IP（登入失敗鎖定依 IP 計算）與 HTTPS 狀態
+// TRUST_PROXY：信任的代理層數（預設 1），或 Express 支援的 true / false / 子網路設定
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' ? true : TRUST_PROXY === 'false' ? false : TRUST_PROXY);
+
 // 全域存儲：支援多群組、多區段
 let games = {};
+// 以下資料集合啟動時由儲存後端載入（loadGames），異動時以 saveCollection 保存
+// 出席紀錄：跨場次保存，key 為群組 ID → 名字（接龍結束後不會刪除）
+let attendance = {};
+// 已結束場次的封存：key 為群組 ID → 場次陣列（名單、日期、標題），啟動時由儲存後端載入
+let sessionHistory = {};
+// 比賽結果與積分：key 為群組 ID → { players, matches }，不隨接龍刪除
+let ratings = {};
+// API 金鑰：key 為群組 ID → { hash, createdAt, createdBy }（只保存雜湊）
+let apiTokens = {};
+// 排程工作佇列：key 為工作 ID → { type, gid, due, runAt, attempts, status… }（重啟後保留重試狀態）
+let jobs = {};
 // 從環境變數讀取管理員密碼，如果未設定則使用預設值（不建議）
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '鈞鈞是豬豬';
 const adminUsers = new Set(); // 儲存已登入的管理員 UserID (重啟後會清空)
@@ -569,278 +648,1525 @@ const uidToNameMap = new Map(); // key: "gid_uid", value: name
 // 追蹤首次使用指令的群組（用於顯示歡迎訊息，而非加入時推播）
 const firstUseGroups = new Set(); // 記錄已經顯示過歡迎訊息的群組
 
-// PostgreSQL 連線設定（已停用，改用 CSV 檔案儲存）
-// 如果不需要 PostgreSQL，可以移除或註解掉以下程式碼
-// 目前強制使用檔案模式，避免連線錯誤訊息
-if (!process.env.DATABASE_URL) {
-  console.log('ℹ️  使用檔案模式儲存資料（games.json + registrations.csv）');
-} else {
-  console.log('ℹ️  已停用 PostgreSQL，使用檔案模式儲存資料（games.json + registrations.csv）');
-}
-
-let pool = null;
-// 停用 PostgreSQL 連線，強制使用檔案模式
-// 如果需要重新啟用，請取消以下註解並移除 pool = null
-/*
-if (Pool && process.env.DATABASE_URL) {
-  console.log('嘗試連線至資料庫:', process.env.DATABASE_URL.replace(/:([^:@]+)@/, ':****@'));
-  pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false },
-    max: 2, // 免費版限制連接數
-    idleTimeoutMillis: 30000, // 30秒後關閉空閒連接
-    connectionTimeoutMillis: 5000 // 5秒連接超時
-  });
-  
-  // 處理連接錯誤，避免崩潰
-  pool.on('error', (err) => {
-    console.error('Unexpected database pool error:', err);
-  });
+// --- 儲存後端 ---
+// 所有持久化都透過同一個介面，新增功能不需要再分別處理檔案、GitHub、資料庫
+//   init()                              啟動時的初始化（資料庫結構遷移、載入遠端快取）
+//   loadGames() / saveGames(all, gids)  讀取/保存接龍（gids 為本次有變動的接龍）
+//   recordChange(gid, game)             （可選）每次異動時立即呼叫，game 為 null 表示刪除
+//   deleteGame(gid, all)                刪除接龍（all 為刪除後的全部接龍）
+//   loadHistory() / archiveSession(chatId, session, history)  場次封存
+//   loadSnapshot() / saveSnapshot(state, message)              接龍快照（舊版回傳 { version: 0, csv }）
+//   listBackups() / saveBackup(date, state) / loadBackup(date) / deleteBackup(date)  每日備份（date 為 YYYY-MM-DD）
+//   flush()                             關閉前寫入尚未完成的資料
+//   loadCollection(name) / saveCollection(name, data)        跨場次保存的資料集合（COLLECTIONS），沒有資料時回傳 {}
+//   describe() → { dbStatus, snapshotStatus } 管理後台顯示的儲存狀態
+// 以 STORAGE_BACKEND 選擇：file（預設）、github（有設定 GitHub 時的預設）、postgres（只設定 DATABASE_URL 時的預設）、memory（測試用）
+// 兩者都有設定時維持 GitHub，避免新增 DATABASE_URL 後改讀空的資料庫；要改用 PostgreSQL 需明確指定
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || (USE_GITHUB ? 'github' : process.env.DATABASE_URL ? 'postgres' : 'file')).toLowerCase();
+if (!process.env.STORAGE_BACKEND && USE_GITHUB && process.env.DATABASE_URL) {
+  console.warn('⚠️ 同時設定了 GitHub 與 DATABASE_URL，沿用 GitHub；要改用 PostgreSQL 請設定 STORAGE_BACKEND=postgres');
 }
-*/
+// 資料庫連線預設使用 SSL（雲端資料庫），連到本機（例如本地 Postgres 容器）時預設不使用，可用 DATABASE_SSL=true/false 指定
+const DATABASE_SSL = process.env.DATABASE_SSL
+  ? process.env.DATABASE_SSL === 'true'
+  : !/@(localhost|127\.0\.0\.1)(:|\/|$)/.test(process.env.DATABASE_URL || '');
+const PG_MIGRATION_LOCK_ID = 72640901; // 遷移用的 advisory lock 編號
 
-// 初始化資料庫與載入資料
-let loadPromise = Promise.resolve();
-// 停用 PostgreSQL，直接使用檔案模式
-if (pool) {
-  loadPromise = pool.query(`
-    CREATE TABLE IF NOT EXISTS games (
-      gid TEXT PRIMARY KEY,
-      data JSONB
-    );
-  `).then(() => loadGames())
-    .catch(err => {
-      console.log('ℹ️  資料庫連線失敗，已切換到檔案模式');
-      pool = null;
-      return loadGames();
-    });
-} else {
-  loadPromise = loadGames();
-}
+// 跨場次保存的資料集合：名稱 → 本地檔案（GitHub 模式存在 GITHUB_DATA_DIR 下同名檔案，PostgreSQL 模式存在 collections 資料表）
+const COLLECTIONS = {
+  attendance: { file: ATTENDANCE_FILE, label: '出席紀錄' },
+  ratings: { file: RATINGS_FILE, label: '積分資料' },
+  apiTokens: { file: API_TOKENS_FILE, label: 'API 金鑰' },
+  jobs: { file: JOBS_FILE, label: '排程工作' }
+};
 
-// 同時載入 GitHub CSV（如果啟用）
-if (USE_GITHUB) {
-  loadPromise = loadPromise.then(async () => {
-    await loadCsvFromGitHub();
-  }).catch(err => {
-    console.error('⚠️  載入 GitHub CSV 失敗（將繼續使用本地模式）:', err.message);
-  });
-}
+// 本地檔案：接龍存 games.json、封存存 history.json、快照存 data/state.json
+// games.json 的每次異動先同步追加到日誌（games.journal），定期才整份重寫（暫存檔 + 改名），
+// 當機或被強制終止時，啟動後以 games.json 加上日誌重播還原；games.json 損毀時改用同時寫入的 games.json.bak
+// 日誌不含操作紀錄（opLog 每筆都帶完整快照，逐次寫入太大），當機時只會遺失上次壓縮後的操作紀錄，名單本身不受影響
+function createFileStorage() {
+  let latestAll = null;
+  let journalBytes = 0;
+  let lastCompactedAt = 0;
+  let compactTimer = null;
+  let compacting = Promise.resolve(); // 壓縮依序執行，避免兩次壓縮同時改名日誌、寫入 games.json
 
-async function loadGames() {
-  try {
-    if (pool) {
-      const res = await pool.query('SELECT gid, data FROM games');
-      res.rows.forEach(row => {
-        games[row.gid] = row.data;
-      });
-      console.log(`已從資料庫載入 ${res.rowCount} 筆接龍資料`);
-    } else {
-      // 檔案備援：若沒有資料庫則嘗試從本地檔案載入
-      if (fs.existsSync(GAMES_FILE)) {
-        try {
-          const content = fs.readFileSync(GAMES_FILE, 'utf8') || '{}';
-          const obj = JSON.parse(content);
-          games = obj || {};
-          console.log(`已從 ${GAMES_FILE} 載入 ${Object.keys(games).length} 筆接龍資料`);
-        } catch (e) {
-          console.error('從檔案載入接龍資料失敗:', e);
-        }
+  // 依序重播日誌中的異動，最後一行可能因當機只寫了一半，無法解析時略過
+  const replayJournal = (all, file) => {
+    if (!fs.existsSync(file)) return 0;
+    let count = 0;
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        logToFile(`[WARN] Ignored incomplete journal entry in ${path.basename(file)}`);
+        return;
       }
-    }
-  } catch (e) {
-    console.error('載入資料失敗:', e);
-  }
-}
-
-// 檔案寫入防抖，避免頻繁寫入
-let saveFileTimeout = null;
-let pendingSaves = new Set();
-let isShuttingDown = false;
+      if (entry.op === 'delete') delete all[entry.gid];
+      else if (entry.op === 'save') {
+        // 日誌不含操作紀錄，沿用上次壓縮時保存的紀錄
+        const prev = all[entry.gid];
+        all[entry.gid] = prev && prev.opLog ? Object.assign(entry.game, { opLog: prev.opLog }) : entry.game;
+      }
+      count++;
+    });
+    return count;
+  };
 
-// 立即寫入檔案（用於關鍵時刻或關閉時）
-async function flushFileSave() {
-  if (pendingSaves.size === 0) return;
-  try {
-    await fs.promises.writeFile(GAMES_FILE, JSON.stringify(games, null, 2), 'utf8');
-    pendingSaves.clear();
-    console.log('✅ 接龍資料已寫入檔案');
-  } catch (e) {
-    console.error('❌ 儲存接龍資料至檔案失敗:', e);
-    logToFile(`[ERROR] Failed to save games.json: ${e.message}`);
-    // 失敗時保留pendingSaves，下次再試
-  }
-}
+  // 讀取 games.json，損毀時移到一旁並改用備份
+  const readGamesFile = () => {
+    for (const file of [GAMES_FILE, GAMES_BACKUP_FILE]) {
+      if (!fs.existsSync(file)) continue;
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8') || '{}') || {};
+      } catch (e) {
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, aside);
+        console.error(`❌ ${path.basename(file)} 已損毀（${e.message}），已移至 ${path.basename(aside)}`);
+        logToFile(`[ERROR] ${path.basename(file)} is corrupt, moved to ${path.basename(aside)}`);
+      }
+    }
+    return {};
+  };
 
-async function saveGame(gid, immediate = false) {
-  if (!games[gid]) return;
-  if (pool) {
-    try {
-    await pool.query(
-      'INSERT INTO games (gid, data) VALUES ($1, $2) ON CONFLICT (gid) DO UPDATE SET data = $2',
-      [gid, games[gid]]
-    );
-    } catch (e) {
-      console.error('資料庫儲存失敗:', e);
-      // 降級到檔案備份
-      pendingSaves.add(gid);
-      if (immediate) {
-        await flushFileSave();
+  // 壓縮：把目前狀態整份寫入 games.json，並移除已包含在內的日誌
+  // 先把日誌改名（之後的異動寫入新日誌），再同步序列化，確保改名前的異動都在這次寫入的內容中
+  const compactNow = async (all) => {
+    clearTimeout(compactTimer);
+    compactTimer = null;
+    if (fs.existsSync(GAMES_JOURNAL_FILE)) {
+      if (fs.existsSync(GAMES_JOURNAL_COMPACTING_FILE)) {
+        // 上一次壓縮失敗留下的日誌，合併後一起處理
+        fs.appendFileSync(GAMES_JOURNAL_COMPACTING_FILE, fs.readFileSync(GAMES_JOURNAL_FILE));
+        fs.unlinkSync(GAMES_JOURNAL_FILE);
       } else {
-        scheduleFileSave();
+        fs.renameSync(GAMES_JOURNAL_FILE, GAMES_JOURNAL_COMPACTING_FILE);
       }
     }
-  } else {
-    pendingSaves.add(gid);
-    if (immediate || isShuttingDown) {
-      await flushFileSave();
-    } else {
-      scheduleFileSave();
+    journalBytes = 0;
+    const content = JSON.stringify(all, null, 2);
+    await writeFileAtomic(GAMES_FILE, content);
+    await writeFileAtomic(GAMES_BACKUP_FILE, content);
+    if (fs.existsSync(GAMES_JOURNAL_COMPACTING_FILE)) {
+      await fs.promises.unlink(GAMES_JOURNAL_COMPACTING_FILE);
     }
-  }
-}
+    lastCompactedAt = Date.now();
+    console.log('✅ 接龍資料已寫入檔案');
+  };
 
-function touchGame(gid) {
-  if (!games[gid]) return;
-  games[gid].lastActiveTime = Date.now();
-}
+  const compact = (all) => {
+    const run = compacting.then(() => compactNow(all));
+    compacting = run.catch(() => {});
+    return run;
+  };
 
-function scheduleFileSave() {
-  if (saveFileTimeout) return; // 已有排程，等待執行
-  saveFileTimeout = setTimeout(async () => {
-    saveFileTimeout = null;
-    await flushFileSave();
-  }, 500); // 防抖：500ms內的多個保存請求合併為一次
-}
+  const scheduleCompaction = () => {
+    if (compactTimer) return;
+    compactTimer = setTimeout(() => {
+      compactTimer = null;
+      compact(latestAll).catch((e) => {
+        console.error('❌ 儲存接龍資料至檔案失敗:', e);
+        logToFile(`[ERROR] Failed to compact games.json: ${e.message}`);
+      });
+    }, Math.max(0, lastCompactedAt + GAMES_COMPACT_INTERVAL_MS - Date.now()));
+  };
 
-async function deleteGame(gid) {
-  delete games[gid];
-  if (pool) {
-    try {
-      await pool.query('DELETE FROM games WHERE gid = $1', [gid]);
-    } catch (e) {
-      console.error('資料庫刪除失敗:', e);
+  return {
+    name: 'file',
+    label: '本地檔案',
+    async init() {},
+    // 寫前日誌：同步追加，確保防抖期間被強制終止也不會遺失（不含操作紀錄，保持每行精簡）
+    recordChange(gid, game) {
+      const entry = game ? { op: 'save', gid, game: Object.assign({}, game, { opLog: undefined }) } : { op: 'delete', gid };
+      const line = JSON.stringify(entry) + '\n';
+      try {
+        fs.appendFileSync(GAMES_JOURNAL_FILE, line, 'utf8');
+        journalBytes += Buffer.byteLength(line);
+      } catch (e) {
+        console.error('❌ 寫入接龍日誌失敗:', e);
+        logToFile(`[ERROR] Failed to append games journal: ${e.message}`);
+      }
+    },
+    async loadGames() {
+      const all = readGamesFile();
+      const hasJournal = fs.existsSync(GAMES_JOURNAL_FILE) || fs.existsSync(GAMES_JOURNAL_COMPACTING_FILE);
+      const replayed = replayJournal(all, GAMES_JOURNAL_COMPACTING_FILE) + replayJournal(all, GAMES_JOURNAL_FILE);
+      if (replayed > 0) {
+        console.log(`♻️ 已從日誌重播 ${replayed} 筆接龍異動`);
+        logToFile(`[INFO] Replayed ${replayed} journal entries into games.json`);
+      }
+      // 重播後立即壓縮，避免新的異動接在半行殘留之後
+      if (hasJournal) await compact(all);
+      return all;
+    },
+    // 異動已在日誌中，只有距離上次壓縮夠久、日誌過大或關閉中才立即重寫 games.json
+    async saveGames(all) {
+      latestAll = all;
+      if (!isShuttingDown && journalBytes < GAMES_JOURNAL_MAX_BYTES && Date.now() - lastCompactedAt < GAMES_COMPACT_INTERVAL_MS) {
+        scheduleCompaction();
+        return;
+      }
+      await compact(all);
+    },
+    async deleteGame(gid, all) {
+      await this.saveGames(all);
+    },
+    async loadHistory() {
+      return readJsonFile(HISTORY_FILE, '場次封存');
+    },
+    async archiveSession(chatId, session, history) {
+      await writeJsonFile(HISTORY_FILE, history, '場次封存');
+    },
+    async loadCollection(name) {
+      return readJsonFile(COLLECTIONS[name].file, COLLECTIONS[name].label);
+    },
+    async saveCollection(name, data) {
+      await writeFileAtomic(COLLECTIONS[name].file, JSON.stringify(data, null, 2));
+    },
+    async loadSnapshot() {
+      if (fs.existsSync(STATE_SNAPSHOT_FILE)) {
+        return JSON.parse(await fs.promises.readFile(STATE_SNAPSHOT_FILE, 'utf8'));
+      }
+      if (fs.existsSync(REG_CSV_FILE)) {
+        return { version: 0, csv: await fs.promises.readFile(REG_CSV_FILE, 'utf8') };
+      }
+      return null;
+    },
+    async saveSnapshot(state) {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await writeFileAtomic(STATE_SNAPSHOT_FILE, JSON.stringify(state, null, 2));
+    },
+    async listBackups() {
+      if (!fs.existsSync(BACKUP_DIR)) return [];
+      const dates = new Set();
+      (await fs.promises.readdir(BACKUP_DIR)).forEach((file) => {
+        const m = file.match(/^(?:state|registrations)-(\d{4}-\d{2}-\d{2})\.(?:json|csv)$/);
+        if (m) dates.add(m[1]);
+      });
+      return Array.from(dates).sort();
+    },
+    async saveBackup(date, state) {
+      await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+      await writeFileAtomic(path.join(BACKUP_DIR, `state-${date}.json`), JSON.stringify(state, null, 2));
+    },
+    async loadBackup(date) {
+      const jsonFile = path.join(BACKUP_DIR, `state-${date}.json`);
+      if (fs.existsSync(jsonFile)) return JSON.parse(await fs.promises.readFile(jsonFile, 'utf8'));
+      const csvFile = path.join(BACKUP_DIR, `registrations-${date}.csv`);
+      if (fs.existsSync(csvFile)) return { version: 0, csv: await fs.promises.readFile(csvFile, 'utf8') };
+      return null;
+    },
+    async deleteBackup(date) {
+      for (const file of [`state-${date}.json`, `registrations-${date}.csv`]) {
+        await fs.promises.unlink(path.join(BACKUP_DIR, file)).catch(() => {});
+      }
+    },
+    async flush() {
+      if (latestAll && (journalBytes > 0 || compactTimer)) await compact(latestAll);
+    },
+    async describe() {
+      let snapshotStatus = '📁 本地快照（尚未建立檔案）';
+      if (fs.existsSync(STATE_SNAPSHOT_FILE)) {
+        try {
+          const state = JSON.parse(await fs.promises.readFile(STATE_SNAPSHOT_FILE, 'utf8'));
+          snapshotStatus = `📁 本地快照（第 ${state.version} 版）\n   接龍數: ${Object.keys(state.games || {}).length}\n   更新時間: ${new Date(state.savedAt).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })}`;
+        } catch (e) {
+          snapshotStatus = `❌ 本地快照無法讀取: ${e.message}`;
+        }
+      }
+      return { dbStatus: '⚠️ 未使用資料庫（檔案模式）', snapshotStatus };
     }
-  }
-  // 檔案會在下次saveGame時自動更新
-  pendingSaves.add('__all__'); // 標記需要保存
-  scheduleFileSave();
+  };
 }
 
-// 自動清除超過 7 天的接龍資料
-const EXPIRY_TIME = 7 * 24 * 60 * 60 * 1000; // 7天
-async function checkExpiredGames() {
-  const now = Date.now();
-  const gids = Object.keys(games);
-  for (const gid of gids) {
-    if (!games[gid]) continue;
-    if (!games[gid].startTime) {
-      games[gid].startTime = now;
-      games[gid].lastActiveTime = now;
-      await saveGame(gid, true);
-    }
-    const lastActive = games[gid].lastActiveTime || games[gid].startTime || now;
-    if (now - lastActive > EXPIRY_TIME) {
-      console.log(`群組 ${gid} 接龍已過期自動刪除`);
-      await deleteGame(gid);
-      await saveCurrentListSnapshot(null, false);
-    }
-  }
-}
-checkExpiredGames().catch(console.error); // 啟動時檢查一次
+// GitHub：接龍仍存本地 games.json（重新部署後由快照還原），快照與場次封存同步到 GitHub 倉庫
+// 快照以接龍為單位合併：只覆蓋本實例有異動的接龍，其他接龍保留遠端內容（避免部署重疊或手動修改被蓋掉）
+function createGitHubStorage() {
+  const local = createFileStorage();
+  let historySha = null;
+  let stateSha = null;
+  let remoteState = null;  // 最後一次同步後遠端快照的內容
+  let syncedLocal = {};    // 最後一次同步時本地各接龍的內容（JSON 字串），用來判斷哪些接龍有異動
+  let backupShas = {};     // 備份檔名 → SHA（列出備份時更新，刪除時需要）
+  let repoCheck = null;    // 最近一次 GitHub 連線測試 { at, error }，避免每次開啟管理後台都呼叫 API
+  let collectionShas = {}; // 資料集合名稱 → SHA
+  let pendingCollections = {}; // 尚未寫入 GitHub 的資料集合
+  let collectionTimer = null;
+  const sync = { dirty: false, lastError: null, lastSyncedAt: null, retryTimer: null, retryDelay: GITHUB_SYNC_RETRY_BASE_MS, conflicts: [] };
 
-function startDailyExpiryCheck() {
-  const now = new Date();
-  const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-  const msUntilMidnight = nextMidnight.getTime() - now.getTime();
-  setTimeout(() => {
-    checkExpiredGames().catch(console.error);
-    setInterval(() => checkExpiredGames().catch(console.error), 24 * 60 * 60 * 1000);
-  }, msUntilMidnight);
-}
-startDailyExpiryCheck();
+  const changedGids = (state) => {
+    const gids = new Set([...Object.keys(state.games), ...Object.keys(syncedLocal)]);
+    return Array.from(gids).filter(gid => JSON.stringify(state.games[gid]) !== syncedLocal[gid]);
+  };
+
+  const recordConflict = (gid, game) => {
+    sync.conflicts.push({ gid, title: game ? game.title : '', time: Date.now() });
+    if (sync.conflicts.length > GITHUB_SYNC_CONFLICT_LIMIT) sync.conflicts.shift();
+    logToFile(`[CONFLICT] ${gid} was also changed remotely; kept this instance's version`);
+  };
 
-// 排程檢查的執行鎖，避免重入
-let checkingSchedules = false;
+  // 寫入失敗後標記為未同步，以遞增間隔重試（重試時寫入當下最新的快照）
+  const scheduleRetry = () => {
+    if (sync.retryTimer) return;
+    const delay = sync.retryDelay;
+    sync.retryDelay = Math.min(sync.retryDelay * 2, GITHUB_SYNC_RETRY_MAX_MS);
+    sync.retryTimer = setTimeout(() => {
+      sync.retryTimer = null;
+      saveCurrentListSnapshot(null, true).catch(() => {});
+    }, delay);
+  };
 
-// 定時推播檢查
-async function checkSchedules() {
-  const now = Date.now();
-  const gids = Object.keys(games);
-  
-  for (const gid of gids) {
-    const g = games[gid];
-    if (!g || !g.scheduleTime) continue;
-    const sched = Number(g.scheduleTime);
-    if (isNaN(sched)) {
-      const warnMsg = `Invalid scheduleTime for ${gid}: ${g.scheduleTime}`;
-      logToFile(`[WARN] ${warnMsg}`);
-      delete g.scheduleTime;
-      await saveGame(gid);
-      continue;
-    }
-    
-    // 只在觸發時記錄，減少日誌輸出
-    if (sched <= now) {
-      const triggerMsg = `TRIGGER! Sending scheduled list for ${gid}`;
-      logToFile(`[TRIGGER] ${triggerMsg}`);
-      delete g.scheduleTime; // 移除設定避免重複觸發
-      await saveGame(gid);
-      try { 
-        await sendList(null, gid, "⏰ 定時提醒");
-        logToFile(`[SUCCESS] Scheduled push sent for ${gid}`);
-      } catch (e) { 
-        console.error('Failed to push scheduled list:', e);
-        logToFile(`[ERROR] Failed to push scheduled list: ${e.message}`);
+  const collectionPath = name => `${GITHUB_DATA_DIR}/${path.basename(COLLECTIONS[name].file)}`;
+
+  // 把累積的資料集合異動寫入 GitHub；多個實例同時寫入時以本實例為準，失敗的集合留到下次再試
+  const pushCollections = async () => {
+    clearTimeout(collectionTimer);
+    collectionTimer = null;
+    const pending = pendingCollections;
+    pendingCollections = {};
+    for (const [name, data] of Object.entries(pending)) {
+      const content = JSON.stringify(data, null, 2);
+      try {
+        const result = await writeGitHubFile(collectionPath(name), content, collectionShas[name] || null, `Update ${name}`, () => content);
+        collectionShas[name] = result.sha;
+      } catch (e) {
+        if (!pendingCollections[name]) pendingCollections[name] = data;
+        console.error(`❌ 同步${COLLECTIONS[name].label}到 GitHub 失敗:`, e.message);
+        logToFile(`[ERROR] Failed to sync ${name} to GitHub: ${e.message}`);
+        scheduleCollectionSync();
       }
     }
-  }
-}
-// 每分鐘的00秒時檢查一次排程
-function startMinuteCheck() {
-  const executeCheck = async () => {
-  if (checkingSchedules) return;
-  checkingSchedules = true;
-  try {
-    await checkSchedules();
-  } catch (e) {
-    console.error('checkSchedules error:', e);
-  } finally {
-    checkingSchedules = false;
-  }
   };
-  
-  // 計算到下一個整分鐘的延遲時間
-  const now = new Date();
-  const msUntilNextMinute = ((60 - now.getSeconds()) * 1000) - now.getMilliseconds();
-  const delay = msUntilNextMinute > 0 ? msUntilNextMinute : 60 * 1000;
-  
-  setTimeout(() => {
-    executeCheck();
-    // 之後每60秒執行一次（對齊每分鐘00秒）
-    setInterval(executeCheck, 60 * 1000);
-  }, delay);
-}
 
-// 待載入完成後立即檢查一次，以恢復並觸發在停機期間已到期或保留的排程
-loadPromise.then(async () => {
-  const restored = await restoreGamesFromCsv().catch((e) => {
-    console.error('Failed to restore games from CSV:', e);
-    return false;
-  });
-  if (restored) {
-    console.log('✅ 已從 CSV 還原接龍名單');
-  }
-  console.log('[Startup] Data loaded, performing initial schedule check');
-  return checkSchedules().catch(console.error);
-}).then(() => {
-  // 資料載入完成後，啟動每分鐘定時檢查
-  startMinuteCheck();
-}).catch(console.error);
+  const scheduleCollectionSync = () => {
+    if (collectionTimer) return;
+    collectionTimer = setTimeout(() => pushCollections().catch(() => {}), GITHUB_COLLECTION_SYNC_MS);
+  };
 
-// 健康檢查端點 - 用於保持服務器喚醒
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
+  // 讀取遠端快照並以其內容作為同步基準：之後本地缺少的接龍視為已刪除，下次同步時一併從遠端移除
+  const readRemoteState = async () => {
+    const file = await readGitHubFile(GITHUB_STATE_PATH);
+    if (!file) return null;
+    const state = JSON.parse(file.content);
+    stateSha = file.sha;
+    remoteState = upgradeSnapshot(state);
+    syncedLocal = {};
+    Object.keys(remoteState.games).forEach(gid => { syncedLocal[gid] = JSON.stringify(remoteState.games[gid]); });
+    return state;
+  };
+
+  return Object.assign({}, local, {
+    name: 'github',
+    label: 'GitHub',
+    // 重啟後本地 games.json 仍在時不會讀取快照，先載入遠端狀態，讓重啟後的刪除也能同步
+    async init() {
+      try {
+        await readRemoteState();
+      } catch (e) {
+        console.error('❌ 從 GitHub 讀取接龍快照失敗:', e.message);
+        logToFile(`[ERROR] Failed to load remote snapshot state from GitHub: ${e.message}`);
+      }
+    },
+    async loadGames() {
+      const all = await local.loadGames();
+      // 遠端有、本地沒有的接龍（例如其他實例建立的）不是本實例刪除的，不列入同步基準以免被移除
+      Object.keys(syncedLocal).forEach((gid) => {
+        if (!all[gid]) delete syncedLocal[gid];
+      });
+      return all;
+    },
+    async loadHistory() {
+      try {
+        const file = await readGitHubFile(GITHUB_HISTORY_PATH);
+        if (file) {
+          historySha = file.sha;
+          return JSON.parse(file.content || '{}') || {};
+        }
+      } catch (e) {
+        console.error('❌ 從 GitHub 讀取場次封存失敗:', e.message);
+        logToFile(`[ERROR] Failed to load history from GitHub: ${e.message}`);
+      }
+      return local.loadHistory();
+    },
+    async archiveSession(chatId, session, history) {
+      await local.archiveSession(chatId, session, history);
+      const result = await writeGitHubFile(GITHUB_HISTORY_PATH, JSON.stringify(history, null, 2), historySha, `Archive session: ${session.title || chatId}`,
+        (remoteContent) => JSON.stringify(mergeHistory(history, remoteContent ? JSON.parse(remoteContent) : {}), null, 2));
+      historySha = result.sha;
+    },
+    // 本地檔案可能有尚未同步的異動，以本地為準；只有全新環境（沒有本地檔案）才從 GitHub 讀回
+    async loadCollection(name) {
+      if (fs.existsSync(COLLECTIONS[name].file)) return local.loadCollection(name);
+      try {
+        const file = await readGitHubFile(collectionPath(name));
+        if (file) {
+          collectionShas[name] = file.sha;
+          return JSON.parse(file.content || '{}') || {};
+        }
+      } catch (e) {
+        console.error(`❌ 從 GitHub 讀取${COLLECTIONS[name].label}失敗:`, e.message);
+        logToFile(`[ERROR] Failed to load ${name} from GitHub: ${e.message}`);
+      }
+      return {};
+    },
+    // 本地立即寫入，GitHub 每 GITHUB_COLLECTION_SYNC_MS 合併寫入一次
+    async saveCollection(name, data) {
+      await local.saveCollection(name, data);
+      pendingCollections[name] = data;
+      scheduleCollectionSync();
+    },
+    async loadSnapshot() {
+      try {
+        console.log(`📥 從 GitHub 讀取接龍快照: ${GITHUB_OWNER}/${GITHUB_REPO}/${GITHUB_STATE_PATH}`);
+        // 還原後本地內容與遠端相同
+        const state = await readRemoteState();
+        if (state) return state;
+        const csv = await readGitHubFile(GITHUB_CSV_PATH);
+        if (csv) return { version: 0, csv: csv.content };
+      } catch (e) {
+        console.error('❌ 從 GitHub 讀取接龍快照失敗:', e.message);
+        logToFile(`[ERROR] Failed to load snapshot from GitHub: ${e.message}`);
+      }
+      // 讀取失敗或 GitHub 上沒有快照時，嘗試本地檔案
+      return local.loadSnapshot();
+    },
+    async saveSnapshot(state, message) {
+      // 本地也保留一份，GitHub 寫入失敗時至少還有資料
+      await local.saveSnapshot(state);
+      const changed = changedGids(state);
+      let merged = mergeStateSnapshots(state, remoteState, changed);
+      // 遠端已被其他實例或手動修改：以最新的遠端內容重新合併，兩邊都改過的接龍以本實例為準並記錄衝突
+      const mergeRemote = (remoteContent) => {
+        const remote = remoteContent ? upgradeSnapshot(JSON.parse(remoteContent)) : null;
+        if (remote && remoteState) {
+          changed.forEach(gid => {
+            if (JSON.stringify(remote.games[gid]) !== JSON.stringify(remoteState.games[gid])) recordConflict(gid, state.games[gid] || remote.games[gid]);
+          });
+        }
+        merged = mergeStateSnapshots(state, remote, changed);
+        return JSON.stringify(merged, null, 2);
+      };
+      try {
+        const result = await writeGitHubFile(GITHUB_STATE_PATH, JSON.stringify(merged, null, 2), stateSha, message, mergeRemote);
+        stateSha = result.sha;
+        remoteState = merged;
+        syncedLocal = {};
+        Object.keys(state.games).forEach(gid => { syncedLocal[gid] = JSON.stringify(state.games[gid]); });
+        Object.assign(sync, { dirty: false, lastError: null, lastSyncedAt: Date.now(), retryDelay: GITHUB_SYNC_RETRY_BASE_MS });
+        clearTimeout(sync.retryTimer);
+        sync.retryTimer = null;
+        logToFile(`[SUCCESS] State snapshot synced to GitHub: ${changed.length} changed, ${Object.keys(merged.games).length} games`);
+      } catch (e) {
+        Object.assign(sync, { dirty: true, lastError: e.message });
+        scheduleRetry();
+        throw e;
+      }
+    },
+    async listBackups() {
+      let entries;
+      try {
+        entries = await githubApiRequest('GET', `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(GITHUB_BACKUP_DIR)}?ref=${GITHUB_BRANCH}`);
+      } catch (e) {
+        if (e.message.includes('404')) return [];
+        throw e;
+      }
+      backupShas = {};
+      (Array.isArray(entries) ? entries : []).forEach((entry) => {
+        const m = entry.name.match(/^(?:state|registrations)-(\d{4}-\d{2}-\d{2})\.(?:json|csv)$/);
+        if (m) backupShas[entry.name] = entry.sha;
+      });
+      return Array.from(new Set(Object.keys(backupShas).map(name => name.match(/(\d{4}-\d{2}-\d{2})/)[1]))).sort();
+    },
+    async saveBackup(date, state) {
+      const content = JSON.stringify(state, null, 2);
+      // 同一天其他實例已備份時直接覆蓋為本實例的內容
+      const result = await writeGitHubFile(`${GITHUB_BACKUP_DIR}/state-${date}.json`, content, null, `Daily backup: ${date}`, () => content);
+      backupShas[`state-${date}.json`] = result.sha;
+    },
+    async loadBackup(date) {
+      const json = await readGitHubFile(`${GITHUB_BACKUP_DIR}/state-${date}.json`);
+      if (json) return JSON.parse(json.content);
+      const csv = await readGitHubFile(`${GITHUB_BACKUP_DIR}/registrations-${date}.csv`);
+      if (csv) return { version: 0, csv: csv.content };
+      return null;
+    },
+    async deleteBackup(date) {
+      for (const name of [`state-${date}.json`, `registrations-${date}.csv`]) {
+        if (!backupShas[name]) continue;
+        await githubApiRequest('DELETE', `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents/${encodeURIComponent(`${GITHUB_BACKUP_DIR}/${name}`)}`,
+          { message: `Prune backup: ${date}`, sha: backupShas[name], branch: GITHUB_BRANCH });
+        delete backupShas[name];
+      }
+    },
+    async flush() {
+      // 關閉前最後再同步一次尚未寫入的異動
+      await pushCollections();
+      if (sync.dirty) await saveCurrentListSnapshot(null, true).catch(() => {});
+      clearTimeout(sync.retryTimer);
+    },
+    async describe() {
+      const fmt = (ts) => new Date(ts).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+      let snapshotStatus;
+      if (!repoCheck || Date.now() - repoCheck.at > GITHUB_STATUS_CACHE_MS) {
+        // 測試 GitHub 連線（結果暫存）
+        repoCheck = { at: Date.now(), error: null };
+        try {
+          await githubApiRequest('GET', `/repos/${GITHUB_OWNER}/${GITHUB_REPO}`);
+        } catch (e) {
+          repoCheck.error = e.message;
+        }
+      }
+      if (repoCheck.error) {
+        snapshotStatus = `❌ GitHub 連線失敗: ${repoCheck.error}`;
+      } else {
+        const count = remoteState ? Object.keys(remoteState.games).length : 0;
+        snapshotStatus = `✅ GitHub 快照正常\n   倉庫: ${GITHUB_OWNER}/${GITHUB_REPO}\n   路徑: ${GITHUB_STATE_PATH}\n   接龍數: ${count}`;
+      }
+      snapshotStatus += `\n   同步: ${sync.dirty ? `⚠️ 有未同步的異動（${sync.lastError}），${sync.retryTimer ? '稍後自動重試' : '等待下次異動'}` : '✅ 已同步'}`;
+      if (sync.lastSyncedAt) snapshotStatus += `\n   上次同步: ${fmt(sync.lastSyncedAt)}`;
+      if (sync.conflicts.length > 0) {
+        snapshotStatus += `\n   合併衝突（兩邊都改過，保留本機版本）:`;
+        sync.conflicts.slice().reverse().forEach(c => {
+          snapshotStatus += `\n   - ${fmt(c.time)} ${c.title || '未命名'} (${c.gid})`;
+        });
+      }
+      return { dbStatus: '⚠️ 未使用資料庫（GitHub 模式）', snapshotStatus };
+    }
+  });
+}
+
+// PostgreSQL 結構遷移：依版本號依序執行，已執行的版本記錄在 schema_migrations
+// 每個遷移在同一個交易中執行；要變更結構時在最後追加新版本，不要修改已發布的遷移
+const PG_MIGRATIONS = [
+  {
+    version: 1,
+    name: '接龍與場次封存（JSONB）',
+    async up(db) {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS games (
+          gid TEXT PRIMARY KEY,
+          data JSONB
+        );
+        CREATE TABLE IF NOT EXISTS session_history (
+          id SERIAL PRIMARY KEY,
+          chat_id TEXT NOT NULL,
+          data JSONB NOT NULL,
+          archived_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: '正規化接龍、區段與報名',
+    async up(db) {
+      await db.query(`
+        ALTER TABLE games RENAME TO games_legacy;
+        CREATE TABLE games (
+          gid TEXT PRIMARY KEY,
+          group_id TEXT NOT NULL,
+          short_id INTEGER NOT NULL,
+          title TEXT NOT NULL DEFAULT '',
+          active BOOLEAN NOT NULL DEFAULT true,
+          play_time TIMESTAMPTZ,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        );
+        CREATE INDEX games_group_id_idx ON games (group_id);
+        CREATE TABLE sections (
+          gid TEXT NOT NULL REFERENCES games (gid) ON DELETE CASCADE,
+          idx INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          label TEXT NOT NULL DEFAULT '',
+          player_limit INTEGER NOT NULL,
+          backup_limit INTEGER NOT NULL,
+          data JSONB NOT NULL,
+          PRIMARY KEY (gid, idx)
+        );
+        CREATE TABLE registrations (
+          gid TEXT NOT NULL,
+          section_idx INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          uid TEXT,
+          registered_at TIMESTAMPTZ,
+          PRIMARY KEY (gid, section_idx, position),
+          FOREIGN KEY (gid, section_idx) REFERENCES sections (gid, idx) ON DELETE CASCADE
+        );
+        CREATE INDEX registrations_uid_idx ON registrations (uid);
+        ALTER TABLE session_history
+          ADD COLUMN short_id INTEGER,
+          ADD COLUMN title TEXT,
+          ADD COLUMN ended_at TIMESTAMPTZ;
+        UPDATE session_history SET
+          short_id = (data->>'shortId')::int,
+          title = data->>'title',
+          ended_at = to_timestamp(COALESCE(data->>'endedAt', data->>'time')::bigint / 1000.0);
+        CREATE INDEX session_history_chat_id_idx ON session_history (chat_id, id);
+      `);
+      // 舊資料表中的接龍逐筆拆成正規化資料
+      const res = await db.query('SELECT gid, data FROM games_legacy');
+      for (const row of res.rows) {
+        if (row.data) await writePgGame(db, row.gid, row.data);
+      }
+      await db.query('DROP TABLE games_legacy');
+    }
+  },
+  {
+    version: 3,
+    name: '每日備份',
+    async up(db) {
+      await db.query(`
+        CREATE TABLE backups (
+          backup_date DATE PRIMARY KEY,
+          data JSONB NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: '跨場次資料集合',
+    async up(db) {
+      await db.query(`
+        CREATE TABLE collections (
+          name TEXT PRIMARY KEY,
+          data JSONB NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `);
+    }
+  }
+];
+
+// 執行尚未套用的遷移；以 advisory lock 避免部署重疊時兩個實例同時遷移
+async function runPgMigrations(pool) {
+  const db = await pool.connect();
+  try {
+    await db.query('SELECT pg_advisory_lock($1)', [PG_MIGRATION_LOCK_ID]);
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `);
+      const res = await db.query('SELECT version FROM schema_migrations');
+      const applied = new Set(res.rows.map(row => Number(row.version)));
+      for (const migration of PG_MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await db.query('BEGIN');
+        try {
+          await migration.up(db);
+          await db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+          await db.query('COMMIT');
+        } catch (e) {
+          await db.query('ROLLBACK');
+          throw new Error(`資料庫遷移 ${migration.version}（${migration.name}）失敗: ${e.message}`);
+        }
+        console.log(`✅ 資料庫遷移完成：${migration.version} ${migration.name}`);
+        logToFile(`[SUCCESS] Database migration ${migration.version} applied`);
+      }
+    } finally {
+      await db.query('SELECT pg_advisory_unlock($1)', [PG_MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    db.release();
+  }
+}
+
+// 將一個接龍寫入 games / sections / registrations（呼叫端負責交易）
+// 區段與報名整批重建；區段除名單外原樣存入 sections.data，讀回時與寫入前完全相同
+// 報名的 uid 與時間依名字從 owners 對應（匿名占位符依登記順序對應），供查詢使用
+async function writePgGame(db, gid, game) {
+  const { sections, ...rest } = game;
+  await db.query(
+    `INSERT INTO games (gid, group_id, short_id, title, active, play_time, data, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, now())
+     ON CONFLICT (gid) DO UPDATE SET group_id = $2, short_id = $3, title = $4, active = $5, play_time = $6, data = $7, updated_at = now()`,
+    [gid, groupIdOf(gid), shortIdOf(gid), game.title || '', game.active !== false, game.playTime ? new Date(Number(game.playTime)) : null, rest]
+  );
+  await db.query('DELETE FROM sections WHERE gid = $1', [gid]);
+  for (const [idx, sec] of (sections || []).entries()) {
+    const { list, ...sectionData } = sec;
+    await db.query(
+      'INSERT INTO sections (gid, idx, title, label, player_limit, backup_limit, data) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+      [gid, idx, sec.title || '', sec.label || '', sec.limit, sec.backupLimit, sectionData]
+    );
+    const owners = (sec.owners || []).slice();
+    for (const [position, name] of list.entries()) {
+      const i = owners.findIndex(o => o.name === name);
+      const owner = i > -1 ? owners.splice(i, 1)[0] : null;
+      await db.query(
+        'INSERT INTO registrations (gid, section_idx, position, name, uid, registered_at) VALUES ($1, $2, $3, $4, $5, $6)',
+        [gid, idx, position, name, owner ? owner.uid : null, owner && owner.time ? new Date(owner.time) : null]
+      );
+    }
+  }
+}
+
+// PostgreSQL：接龍、區段、報名與場次封存存在資料庫（結構由 PG_MIGRATIONS 管理），快照仍寫本地檔案
+function createPostgresStorage(pool) {
+  const local = createFileStorage();
+
+  const inTransaction = async (fn) => {
+    const db = await pool.connect();
+    try {
+      await db.query('BEGIN');
+      await fn(db);
+      await db.query('COMMIT');
+    } catch (e) {
+      await db.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      db.release();
+    }
+  };
+
+  return {
+    name: 'postgres',
+    label: 'PostgreSQL',
+    async init() {
+      await runPgMigrations(pool);
+    },
+    async loadGames() {
+      const [gameRes, sectionRes, regRes] = await Promise.all([
+        pool.query('SELECT gid, data FROM games'),
+        pool.query('SELECT gid, idx, data FROM sections ORDER BY gid, idx'),
+        pool.query('SELECT gid, section_idx, name FROM registrations ORDER BY gid, section_idx, position')
+      ]);
+      const all = {};
+      gameRes.rows.forEach(row => {
+        all[row.gid] = Object.assign({}, row.data, { sections: [] });
+      });
+      sectionRes.rows.forEach(row => {
+        if (!all[row.gid]) return;
+        all[row.gid].sections[row.idx] = Object.assign({}, row.data, { list: [] });
+      });
+      regRes.rows.forEach(row => {
+        const sec = all[row.gid] && all[row.gid].sections[row.section_idx];
+        if (sec) sec.list.push(row.name);
+      });
+      return all;
+    },
+    async saveGames(all, gids) {
+      await inTransaction(async (db) => {
+        for (const gid of gids) {
+          await writePgGame(db, gid, all[gid]);
+        }
+      });
+    },
+    async deleteGame(gid) {
+      await pool.query('DELETE FROM games WHERE gid = $1', [gid]);
+    },
+    async loadHistory() {
+      const res = await pool.query('SELECT chat_id, data FROM session_history ORDER BY id');
+      const history = {};
+      res.rows.forEach(row => {
+        if (!history[row.chat_id]) history[row.chat_id] = [];
+        history[row.chat_id].push(row.data);
+      });
+      return history;
+    },
+    async archiveSession(chatId, session) {
+      await inTransaction(async (db) => {
+        await db.query(
+          'INSERT INTO session_history (chat_id, short_id, title, ended_at, data) VALUES ($1, $2, $3, $4, $5)',
+          [chatId, session.shortId || null, session.title || '', new Date(session.endedAt || session.time), session]
+        );
+        await db.query(
+          'DELETE FROM session_history WHERE chat_id = $1 AND id NOT IN (SELECT id FROM session_history WHERE chat_id = $1 ORDER BY id DESC LIMIT $2)',
+          [chatId, SESSION_HISTORY_LIMIT]
+        );
+      });
+    },
+    // 管理員「資料庫列表」：列出資料庫中的接龍與報名人數
+    async listDatabase() {
+      const [versionRes, gameRes, historyRes] = await Promise.all([
+        pool.query('SELECT max(version) AS version FROM schema_migrations'),
+        pool.query(`
+          SELECT g.gid, g.title, g.updated_at,
+            (SELECT count(*) FROM sections s WHERE s.gid = g.gid) AS section_count,
+            (SELECT count(*) FROM registrations r WHERE r.gid = g.gid) AS registration_count
+          FROM games g ORDER BY g.group_id, g.short_id
+        `),
+        pool.query('SELECT count(*) AS count FROM session_history')
+      ]);
+      return {
+        version: Number(versionRes.rows[0] ? versionRes.rows[0].version : 0),
+        games: gameRes.rows.map(row => ({
+          gid: row.gid,
+          title: row.title,
+          sections: Number(row.section_count),
+          registrations: Number(row.registration_count),
+          updatedAt: new Date(row.updated_at).getTime()
+        })),
+        sessions: Number(historyRes.rows[0] ? historyRes.rows[0].count : 0)
+      };
+    },
+    // 資料庫還沒有這個集合時（例如從檔案模式升級）沿用本地檔案
+    async loadCollection(name) {
+      const res = await pool.query('SELECT data FROM collections WHERE name = $1', [name]);
+      return res.rows[0] ? res.rows[0].data : local.loadCollection(name);
+    },
+    async saveCollection(name, data) {
+      await pool.query('INSERT INTO collections (name, data) VALUES ($1, $2) ON CONFLICT (name) DO UPDATE SET data = $2, updated_at = now()', [name, data]);
+    },
+    loadSnapshot: local.loadSnapshot,
+    saveSnapshot: local.saveSnapshot,
+    async listBackups() {
+      const res = await pool.query(`SELECT to_char(backup_date, 'YYYY-MM-DD') AS date FROM backups ORDER BY backup_date`);
+      return res.rows.map(row => row.date);
+    },
+    async saveBackup(date, state) {
+      await pool.query('INSERT INTO backups (backup_date, data) VALUES ($1, $2) ON CONFLICT (backup_date) DO UPDATE SET data = $2, created_at = now()', [date, state]);
+    },
+    async loadBackup(date) {
+      const res = await pool.query('SELECT data FROM backups WHERE backup_date = $1', [date]);
+      return res.rows[0] ? res.rows[0].data : null;
+    },
+    async deleteBackup(date) {
+      await pool.query('DELETE FROM backups WHERE backup_date = $1', [date]);
+    },
+    async flush() {},
+    async describe() {
+      let dbStatus;
+      try {
+        const res = await pool.query('SELECT max(version) AS version FROM schema_migrations');
+        dbStatus = `✅ 資料庫連線正常（結構版本 ${res.rows[0] ? res.rows[0].version : 0}）`;
+      } catch (e) {
+        dbStatus = '❌ 資料庫連線異常';
+      }
+      return { dbStatus, snapshotStatus: (await local.describe()).snapshotStatus };
+    }
+  };
+}
+
+// 記憶體：不寫入任何檔案，重啟後資料消失（測試用）
+function createMemoryStorage() {
+  const clone = (v) => JSON.parse(JSON.stringify(v));
+  const saved = {};
+  let history = {};
+  let snapshot = null;
+  const backups = {};
+  const collections = {};
+  return {
+    name: 'memory',
+    label: '記憶體',
+    async init() {},
+    async loadGames() {
+      return clone(saved);
+    },
+    async saveGames(all, gids) {
+      gids.forEach(gid => { saved[gid] = clone(all[gid]); });
+    },
+    async deleteGame(gid) {
+      delete saved[gid];
+    },
+    async loadHistory() {
+      return clone(history);
+    },
+    async archiveSession(chatId, session, all) {
+      history = clone(all);
+    },
+    async loadCollection(name) {
+      return collections[name] ? clone(collections[name]) : {};
+    },
+    async saveCollection(name, data) {
+      collections[name] = clone(data);
+    },
+    async loadSnapshot() {
+      return snapshot && clone(snapshot);
+    },
+    async saveSnapshot(state) {
+      snapshot = clone(state);
+    },
+    async listBackups() {
+      return Object.keys(backups).sort();
+    },
+    async saveBackup(date, state) {
+      backups[date] = clone(state);
+    },
+    async loadBackup(date) {
+      return backups[date] ? clone(backups[date]) : null;
+    },
+    async deleteBackup(date) {
+      delete backups[date];
+    },
+    async flush() {},
+    async describe() {
+      return { dbStatus: '⚠️ 僅使用記憶體 (無資料庫)', snapshotStatus: '🧪 記憶體模式（重啟後資料消失）' };
+    }
+  };
+}
+
+function createStorage(kind) {
+  if (kind === 'memory') return createMemoryStorage();
+  if (kind === 'postgres') {
+    if (Pool && process.env.DATABASE_URL) {
+      console.log('嘗試連線至資料庫:', process.env.DATABASE_URL.replace(/:([^:@]+)@/, ':****@'));
+      const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: DATABASE_SSL ? { rejectUnauthorized: false } : false,
+        max: 2, // 免費版限制連接數
+        idleTimeoutMillis: 30000, // 30秒後關閉空閒連接
+        connectionTimeoutMillis: 5000 // 5秒連接超時
+      });
+      // 處理連接錯誤，避免崩潰
+      pool.on('error', (err) => {
+        console.error('Unexpected database pool error:', err);
+      });
+      return createPostgresStorage(pool);
+    }
+    console.warn('⚠️ STORAGE_BACKEND=postgres 需要 pg 套件與 DATABASE_URL，改用檔案模式');
+  }
+  if (kind === 'github') {
+    if (USE_GITHUB) return createGitHubStorage();
+    console.warn('⚠️ STORAGE_BACKEND=github 需要 GitHub 環境變數，改用檔案模式');
+  }
+  return createFileStorage();
+}
+
+let storage = createStorage(STORAGE_BACKEND);
+console.log(`ℹ️  儲存後端：${storage.label}`);
+
+// 初始化儲存後端與載入資料（資料庫連線失敗時切換到檔案模式）
+const loadPromise = storage.init()
+  .catch(err => {
+    console.error('⚠️  儲存後端初始化失敗:', err.message);
+    if (storage.name === 'postgres') {
+      console.log('ℹ️  資料庫連線失敗，已切換到檔案模式');
+      storage = createFileStorage();
+    }
+  })
+  .then(() => loadGames());
+
+async function loadGames() {
+  try {
+    games = await storage.loadGames();
+    console.log(`已從${storage.label}載入 ${Object.keys(games).length} 筆接龍資料`);
+  } catch (e) {
+    console.error('載入接龍資料失敗:', e);
+  }
+  try {
+    sessionHistory = await storage.loadHistory();
+  } catch (e) {
+    console.error('載入場次封存失敗:', e);
+  }
+  try {
+    attendance = await storage.loadCollection('attendance');
+    ratings = await storage.loadCollection('ratings');
+    apiTokens = await storage.loadCollection('apiTokens');
+    jobs = await storage.loadCollection('jobs');
+    if (!AUTO_WAKE_ENABLED) delete jobs.keepalive;
+  } catch (e) {
+    console.error('載入出席紀錄、積分、API 金鑰或排程工作失敗:', e);
+  }
+}
+
+// 保存資料集合（COLLECTIONS），失敗時只記錄，不影響目前的操作
+async function saveCollection(name, data) {
+  try {
+    await storage.saveCollection(name, data);
+  } catch (e) {
+    console.error(`❌ 儲存${COLLECTIONS[name].label}失敗:`, e);
+    logToFile(`[ERROR] Failed to save ${name}: ${e.message}`);
+  }
+}
+
+// 寫入防抖，避免頻繁寫入
+let saveGamesTimeout = null;
+let pendingSaves = new Set();
+let isShuttingDown = false;
+
+// 立即寫入（用於關鍵時刻或關閉時）；已不存在於 games 的接龍視為刪除
+async function flushGameSaves() {
+  if (pendingSaves.size === 0) return;
+  const gids = Array.from(pendingSaves);
+  pendingSaves.clear();
+  try {
+    const saved = gids.filter(gid => games[gid]);
+    if (saved.length > 0) await storage.saveGames(games, saved);
+    for (const gid of gids.filter(gid => !games[gid])) {
+      await storage.deleteGame(gid, games);
+    }
+  } catch (e) {
+    console.error('❌ 儲存接龍資料失敗:', e);
+    logToFile(`[ERROR] Failed to save games (${storage.name}): ${e.message}`);
+    // 失敗時保留pendingSaves，下次再試
+    gids.forEach(gid => pendingSaves.add(gid));
+  }
+}
+
+async function saveGame(gid, immediate = false) {
+  if (!games[gid]) return;
+  syncGameJobs(gid);
+  if (storage.recordChange) storage.recordChange(gid, games[gid]);
+  pendingSaves.add(gid);
+  if (immediate || isShuttingDown) {
+    await flushGameSaves();
+  } else {
+    scheduleGameSave();
+  }
+}
+
+function touchGame(gid) {
+  if (!games[gid]) return;
+  games[gid].lastActiveTime = Date.now();
+}
+
+function scheduleGameSave() {
+  if (saveGamesTimeout) return; // 已有排程，等待執行
+  saveGamesTimeout = setTimeout(async () => {
+    saveGamesTimeout = null;
+    await flushGameSaves();
+  }, 500); // 防抖：500ms內的多個保存請求合併為一次
+}
+
+async function deleteGame(gid) {
+  delete games[gid];
+  syncGameJobs(gid);
+  if (storage.recordChange) storage.recordChange(gid, null);
+  pendingSaves.add(gid);
+  scheduleGameSave();
+}
+
+// 自動清除超過 7 天的接龍資料（由排程工作 expiry 執行）
+const EXPIRY_TIME = 7 * 24 * 60 * 60 * 1000; // 7天
+
+// --- 週期接龍 ---
+// g.recurrence = { raw, days: [0-6], hour, minute, openOffset, fixed: [] }
+// g.playTime 為本場打球時間；時間到或接龍結束後，自動建立下一場
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+// 解析「每週二 20:00」「每週二、六 20:00」「週二 週六 20:00」
+function parseRecurrence(raw) {
+  const timeMatch = raw.match(/(\d{1,2})\s*[:：]\s*(\d{2})/);
+  if (!timeMatch) return null;
+  const hour = parseInt(timeMatch[1], 10);
+  const minute = parseInt(timeMatch[2], 10);
+  if (hour > 23 || minute > 59) return null;
+  const dayPart = raw.replace(timeMatch[0], '').replace(/每|週|周|星期|禮拜/g, '');
+  const days = [];
+  for (const ch of dayPart) {
+    let day = WEEKDAY_NAMES.indexOf(ch);
+    if (ch === '天') day = 0;
+    if (/[1-7]/.test(ch)) day = parseInt(ch, 10) % 7;
+    if (day >= 0 && !days.includes(day)) days.push(day);
+  }
+  if (days.length === 0) return null;
+  days.sort((a, b) => a - b);
+  return { raw: raw.trim(), days, hour, minute };
+}
+
+// 找出 after 之後最近的一次打球時間（以台灣時間計算）
+function nextOccurrence(rec, after = Date.now()) {
+  const base = new Date(after);
+  for (let d = 0; d <= 7; d++) {
+    const candidate = new Date(base.getFullYear(), base.getMonth(), base.getDate() + d, rec.hour, rec.minute, 0);
+    if (rec.days.includes(candidate.getDay()) && candidate.getTime() > after) {
+      return candidate.getTime();
+    }
+  }
+  return null;
+}
+
+function formatPlayTime(ts) {
+  const d = new Date(Number(ts));
+  return `${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getDate().toString().padStart(2, '0')}(${WEEKDAY_NAMES[d.getDay()]}) ${d.getHours().toString().padStart(2, '0')}:${d.getMinutes().toString().padStart(2, '0')}`;
+}
+
+function describeRecurrence(rec) {
+  const time = `${String(rec.hour).padStart(2, '0')}:${String(rec.minute).padStart(2, '0')}`;
+  return `每週${rec.days.map(d => WEEKDAY_NAMES[d]).join('、')} ${time}`;
+}
+
+// --- 開打前提醒 ---
+// g.reminders = [{ id, kind: 'list' | 'open', offset }]：開打前 offset 毫秒推播
+// list 推播名單；open 只在還有正取/候補空位時推播招募訊息
+// g.remindersFired = { id: 時間 }，隨接龍存檔，重啟後不會重複；睡眠期間錯過的提醒在開打前醒來仍會補發
+const REMINDER_UNITS = { d: 86400000, 天: 86400000, h: 3600000, 小時: 3600000, m: 60000, 分: 60000, 分鐘: 60000 };
+
+// 提醒{24h,2h,空位3h}；提醒{取消} 表示不提醒
+function parseReminders(raw) {
+  const value = String(raw || '').trim();
+  if (value === '' || value === '取消' || value === '無') return [];
+  const reminders = [];
+  for (const token of value.split(/[,，、\s]+/).filter(Boolean)) {
+    const m = token.match(/^(空位)?(\d+(?:\.\d+)?)(d|h|m|天|小時|分鐘|分)$/i);
+    if (!m) return null;
+    const kind = m[1] ? 'open' : 'list';
+    const offset = Math.round(parseFloat(m[2]) * REMINDER_UNITS[m[3].toLowerCase()]);
+    const id = `${kind}-${offset}`;
+    if (offset > 0 && !reminders.some(r => r.id === id)) reminders.push({ id, kind, offset });
+  }
+  return reminders.sort((a, b) => b.offset - a.offset);
+}
+
+// 環境變數 DEFAULT_REMINDERS（例如 24h,2h）：有開打時間但沒指定 提醒{} 時使用
+const DEFAULT_REMINDERS = parseReminders(process.env.DEFAULT_REMINDERS || '') || [];
+
+function describeOffset(ms) {
+  if (ms % 86400000 === 0) return `${ms / 86400000} 天`;
+  if (ms % 3600000 === 0) return `${ms / 3600000} 小時`;
+  if (ms >= 3600000) return `${Math.floor(ms / 3600000)} 小時 ${Math.round(ms % 3600000 / 60000)} 分`;
+  return `${Math.round(ms / 60000)} 分鐘`;
+}
+
+function describeReminders(g) {
+  return (g.reminders || []).map(r => {
+    const fired = g.remindersFired && g.remindersFired[r.id];
+    // 略過的提醒以負的時間記錄
+    const mark = fired > 0 ? '（已發送）' : fired < 0 ? '（略過）' : '';
+    return `${r.kind === 'open' ? '空位 ' : ''}${describeOffset(r.offset)}前${mark}`;
+  }).join('、');
+}
+
+function openSpots(g) {
+  let confirmed = 0;
+  let waitlist = 0;
+  g.sections.forEach(sec => {
+    confirmed += Math.max(sec.limit - sec.list.length, 0);
+    waitlist += Math.max(sec.limit + sec.backupLimit - Math.max(sec.list.length, sec.limit), 0);
+  });
+  return { confirmed, waitlist };
+}
+
+// 發送單一提醒；推播失敗時拋出錯誤，由排程工作重試
+async function fireReminder(gid, reminderId, now = Date.now()) {
+  const g = games[gid];
+  if (!g || !g.active || !g.playTime) return;
+  const r = (g.reminders || []).find(x => x.id === reminderId);
+  if (!r) return;
+  if (!g.remindersFired) g.remindersFired = {};
+  if (g.remindersFired[r.id]) return;
+  const playTime = Number(g.playTime);
+  // 已開打、尚未開放報名、或同類型有更近的提醒也已到期（例如睡過頭）時直接略過
+  const superseded = g.reminders.some(o => o.kind === r.kind && o.offset < r.offset && playTime - o.offset <= now);
+  if (superseded || playTime <= now || (g.scheduleTime && Number(g.scheduleTime) > now) || (r.kind === 'open' && isRegistrationLocked(g))) {
+    g.remindersFired[r.id] = -now;
+    await saveGame(gid, true);
+    logToFile(`[INFO] Reminder ${r.id} skipped for ${gid}`);
+    return;
+  }
+  const left = describeOffset(Math.max(playTime - now, 60000));
+  if (r.kind === 'open') {
+    const spots = openSpots(g);
+    if (spots.confirmed === 0 && spots.waitlist === 0) {
+      g.remindersFired[r.id] = -now;
+      await saveGame(gid, true);
+      return;
+    }
+    const detail = spots.confirmed > 0 ? `還有 ${spots.confirmed} 個正取名額` : `正取已滿，候補還有 ${spots.waitlist} 個名額`;
+    await client.pushMessage(groupIdOf(gid), { type: 'text', text: `📣 ${g.title}${gameTagOf(gid)}\n🏸 ${formatPlayTime(playTime)}（${left}後）\n${detail}，要打的快 +1！` });
+  } else {
+    await sendList(null, gid, `⏰ 距離開打還有 ${left}`);
+  }
+  g.remindersFired[r.id] = now;
+  await saveGame(gid, true);
+  logToFile(`[SUCCESS] Reminder ${r.id} sent for ${gid}`);
+}
+
+// 依照目前接龍的設定建立下一場（沿用標題、區段設定與固定名單），回傳新的接龍
+async function startNextRecurringSession(gid) {
+  const prev = games[gid];
+  if (!prev || !prev.recurrence) return null;
+  const rec = prev.recurrence;
+  const now = Date.now();
+  const playTime = nextOccurrence(rec, Math.max(now, Number(prev.playTime) || 0));
+  if (!playTime) return null;
+  // 立即開放報名時不設 scheduleTime，避免排入開放報名推播；由呼叫端決定如何公告新名單
+  const scheduleTime = rec.openOffset && playTime - rec.openOffset > now ? playTime - rec.openOffset : null;
+  const deadline = rec.deadlineOffset ? playTime - rec.deadlineOffset : null;
+
+  games[gid] = {
+    title: prev.title,
+    note: prev.note || '',
+    active: true,
+    startTime: now,
+    lastActiveTime: now,
+    scheduleTime: scheduleTime,
+    scheduleInput: null,
+    deadline: deadline,
+    deadlineInput: null,
+    locked: false,
+    playTime: playTime,
+    recurrence: rec,
+    groupId: groupIdOf(gid),
+    shortId: shortIdOf(gid),
+    creatorUid: prev.creatorUid || null,
+    anonymous: [],
+    anonymousCount: 0,
+    fees: prev.fees || null,
+    paid: {},
+    reminders: prev.reminders || [],
+    remindersFired: {},
+    sections: prev.sections.map((sec, idx) => ({
+      title: sec.title,
+      limit: sec.limit,
+      backupLimit: sec.backupLimit,
+      label: sec.label,
+      list: idx === 0 ? (rec.fixed || []).slice() : []
+    }))
+  };
+  rebuildOwners(games[gid].sections[0], prev.creatorUid);
+  await saveGame(gid, true);
+  await saveCurrentListSnapshot(gid, false);
+  logToFile(`[SUCCESS] Recurring session rolled over for ${gid}: next play ${new Date(playTime).toISOString()}`);
+  return games[gid];
+}
+
+// 下一場立即開放報名時推播新名單；換場已完成，推播失敗只記錄不拋出（重跑換場不會補發）
+async function announceNextSession(gid) {
+  try {
+    await sendList(null, gid, '🔁 下一場接龍開始！');
+  } catch (e) {
+    console.error(`推播下一場名單失敗 ${gid}:`, e);
+    logToFile(`[ERROR] Failed to announce next session for ${gid}: ${e.message}`);
+  }
+}
+
+// 結束一場接龍（接龍結束指令與管理後台共用）
+// 保存最終快照、記錄出席並封存；週期接龍直接建立下一場，否則刪除接龍
+async function endSession(gid) {
+  // 保存最終名單快照到 CSV（在刪除前）
+  await saveCurrentListSnapshot(gid, true);
+  // 有使用簽到時，未簽到的正取記為缺席
+  await finalizeAttendance(gid);
+  // 封存本場名單，供 我的出席 / 出席排行 統計
+  await archiveSession(gid, 'ended');
+  if (games[gid].recurrence) {
+    const next = await startNextRecurringSession(gid);
+    if (next) return { next };
+  }
+  await deleteGame(gid);
+  // 刪除後更新 CSV，移除該群組資料
+  await saveCurrentListSnapshot(null, false);
+  return { next: null };
+}
+
+// --- 排程工作佇列 ---
+// 每個定時動作都是一筆有明確到期時間的工作，由儲存後端保存，取代每分鐘輪詢
+// job = { id, type, gid, due, runAt, attempts, lastError, status: 'pending'|'failed', createdAt, reminderId }
+// 接龍的工作由欄位推導（scheduleTime、deadline、reminders、playTime、lastActiveTime），saveGame 時自動同步
+const JOB_RETRY_BASE_MS = 60 * 1000;     // 第一次重試間隔，之後每次加倍
+const JOB_RETRY_MAX_MS = 60 * 60 * 1000; // 重試間隔上限
+const JOB_MAX_ATTEMPTS = 6;              // 連續失敗次數上限，超過即標記失敗不再重試
+const JOB_LATE_MS = 2 * 60 * 1000;       // 超過到期時間才第一次執行，視為停機期間錯過的工作
+const JOB_TICK_MAX_MS = 60 * 1000;       // 計時器最長等待時間，避免長時間 setTimeout 漂移
+const JOB_LIST_LIMIT = 30;
+
+// catchUp：錯過時補發（fire）或略過（skip）；沒有 skip 的類型一律補跑
+const JOB_TYPES = {
+  'open-push': { label: '開放報名推播', catchUp: 'fire', run: runOpenPushJob, skip: skipOpenPushJob },
+  reminder: { label: '開打前提醒', catchUp: 'fire', run: runReminderJob, skip: skipReminderJob },
+  'deadline-lock': { label: '報名截止', catchUp: 'fire', run: runDeadlineLockJob, skip: skipDeadlineLockJob },
+  recurrence: { label: '週期換場', catchUp: 'fire', run: runRecurrenceJob },
+  expiry: { label: '過期清除', catchUp: 'fire', run: runExpiryJob },
+  keepalive: { label: '自我喚醒', catchUp: 'skip', run: runKeepaliveJob, skip: () => scheduleKeepalive() }
+};
+
+// JOB_CATCH_UP=reminder:skip,open-push:skip 可覆寫預設的補跑策略
+function parseCatchUpOverrides(raw) {
+  const overrides = {};
+  String(raw || '').split(',').forEach(part => {
+    const [type, policy] = part.split(':').map(x => x.trim());
+    if (JOB_TYPES[type] && (policy === 'fire' || policy === 'skip')) overrides[type] = policy;
+  });
+  return overrides;
+}
+const JOB_CATCH_UP = parseCatchUpOverrides(process.env.JOB_CATCH_UP);
+
+function catchUpPolicy(type) {
+  return JOB_CATCH_UP[type] || JOB_TYPES[type].catchUp;
+}
+
+let jobTimer = null;
+let runningJobs = false;
+let jobsReady = false; // 資料載入完成前不執行，避免把尚未載入的接龍當成已刪除
+let saveJobsTimeout = null;
+// 本次執行期間已完成的工作（ID → 到期時間），避免處理後欄位未變時重複排入
+const finishedJobs = new Map();
+
+function saveJobs() {
+  if (saveJobsTimeout) return;
+  saveJobsTimeout = setTimeout(() => {
+    saveJobsTimeout = null;
+    saveCollection('jobs', jobs);
+  }, 500);
+}
+
+// 依接龍目前的設定算出應存在的工作
+function desiredJobsFor(gid) {
+  const g = games[gid];
+  const list = [];
+  if (!g) return list;
+  const add = (type, due, reminderId) => {
+    if (!Number.isFinite(due)) return;
+    const job = { id: reminderId ? `${type}:${gid}:${reminderId}` : `${type}:${gid}`, type, gid, due };
+    if (reminderId) job.reminderId = reminderId;
+    list.push(job);
+  };
+  if (g.scheduleTime) add('open-push', Number(g.scheduleTime));
+  if (g.deadline && !g.locked) add('deadline-lock', Number(g.deadline));
+  if (g.active && g.playTime) {
+    (g.reminders || []).forEach(r => {
+      if (!(g.remindersFired || {})[r.id]) add('reminder', Number(g.playTime) - r.offset, r.id);
+    });
+  }
+  if (g.recurrence && g.playTime) add('recurrence', recurrenceRolloverTime(g));
+  const lastActive = g.lastActiveTime || g.startTime;
+  if (lastActive) add('expiry', Number(lastActive) + EXPIRY_TIME);
+  return list;
+}
+
+// 讓佇列與接龍設定一致：新增/更新到期時間改變的工作，移除已不需要的工作
+function syncGameJobs(gid) {
+  const wanted = new Map(desiredJobsFor(gid).map(job => [job.id, job]));
+  let changed = false;
+  Object.values(jobs).forEach(job => {
+    if (job.gid !== gid || wanted.has(job.id)) return;
+    // 重試中的工作（例如截止名單推播失敗）在接龍仍存在時保留到送達為止
+    if (games[gid] && job.status === 'pending' && job.attempts > 0) return;
+    // 已放棄的工作保留到管理員以「清除失敗排程」確認為止
+    if (job.status === 'failed') return;
+    delete jobs[job.id];
+    changed = true;
+  });
+  wanted.forEach((want, id) => {
+    if (jobs[id] && jobs[id].due === want.due) return;
+    if (finishedJobs.get(id) === want.due) return;
+    jobs[id] = Object.assign(want, { runAt: want.due, attempts: 0, lastError: null, status: 'pending', createdAt: Date.now() });
+    changed = true;
+  });
+  if (changed) {
+    saveJobs();
+    scheduleJobTick();
+  }
+}
+
+function scheduleKeepalive(delay = AUTO_WAKE_INTERVAL_MINUTES * 60 * 1000) {
+  const due = Date.now() + delay;
+  jobs.keepalive = { id: 'keepalive', type: 'keepalive', gid: null, due, runAt: due, attempts: 0, lastError: null, status: 'pending', createdAt: Date.now() };
+  saveJobs();
+  scheduleJobTick();
+}
+
+// 下一次喚醒時間：最近一筆待執行工作的時間，最長等待 JOB_TICK_MAX_MS
+function scheduleJobTick() {
+  if (!jobsReady || runningJobs) return;
+  clearTimeout(jobTimer);
+  jobTimer = null;
+  const pending = Object.values(jobs).filter(job => job.status === 'pending');
+  if (pending.length === 0) return;
+  const next = Math.min(...pending.map(job => job.runAt));
+  const delay = Math.max(0, Math.min(next - Date.now(), JOB_TICK_MAX_MS));
+  jobTimer = setTimeout(() => runDueJobs().catch(console.error), delay);
+  // 服務器本身會讓程序持續執行；不讓排程計時器單獨撐住程序（例如測試載入時）
+  jobTimer.unref();
+}
+
+async function runDueJobs() {
+  if (runningJobs) return;
+  runningJobs = true;
+  try {
+    for (;;) {
+      const now = Date.now();
+      const next = Object.values(jobs)
+        .filter(job => job.status === 'pending' && job.runAt <= now)
+        .sort((a, b) => a.runAt - b.runAt)[0];
+      if (!next) break;
+      await runJob(next);
+    }
+  } finally {
+    runningJobs = false;
+    scheduleJobTick();
+  }
+}
+
+async function runJob(job) {
+  const type = JOB_TYPES[job.type];
+  delete jobs[job.id];
+  if (!type) {
+    saveJobs();
+    return;
+  }
+  try {
+    // 建立時已過期的工作（例如設定的時間本來就在過去）不算錯過，照常執行
+    const late = job.attempts === 0 && job.due >= (job.createdAt || 0) && Date.now() - job.due > JOB_LATE_MS;
+    if (late && type.skip && catchUpPolicy(job.type) === 'skip') {
+      logToFile(`[SKIP] Missed job ${job.id} (due ${new Date(job.due).toISOString()})`);
+      await type.skip(job);
+    } else {
+      if (late) logToFile(`[CATCH-UP] Running missed job ${job.id} (due ${new Date(job.due).toISOString()})`);
+      await type.run(job);
+    }
+    finishedJobs.set(job.id, job.due);
+  } catch (e) {
+    const attempts = job.attempts + 1;
+    const failed = attempts >= JOB_MAX_ATTEMPTS;
+    const delay = Math.min(JOB_RETRY_BASE_MS * 2 ** (attempts - 1), JOB_RETRY_MAX_MS);
+    jobs[job.id] = Object.assign({}, job, { attempts, lastError: e.message, runAt: Date.now() + delay, status: failed ? 'failed' : 'pending' });
+    console.error(`排程工作 ${job.id} 執行失敗:`, e);
+    logToFile(failed
+      ? `[ERROR] Job ${job.id} gave up after ${attempts} attempts: ${e.message}`
+      : `[RETRY] Job ${job.id} failed (attempt ${attempts}), retrying in ${Math.round(delay / 1000)}s: ${e.message}`);
+  }
+  if (job.gid) syncGameJobs(job.gid);
+  saveJobs();
+}
+
+// 開放報名推播：推播成功後才移除 scheduleTime，失敗時保留給重試
+async function runOpenPushJob(job) {
+  const g = games[job.gid];
+  if (!g || !g.scheduleTime) return;
+  logToFile(`[TRIGGER] Sending scheduled list for ${job.gid}`);
+  await sendList(null, job.gid, '⏰ 定時提醒');
+  delete g.scheduleTime;
+  await saveGame(job.gid);
+  logToFile(`[SUCCESS] Scheduled push sent for ${job.gid}`);
+}
+
+async function skipOpenPushJob(job) {
+  const g = games[job.gid];
+  if (!g || !g.scheduleTime) return;
+  delete g.scheduleTime;
+  await saveGame(job.gid);
+}
+
+async function runReminderJob(job) {
+  await fireReminder(job.gid, job.reminderId);
+}
+
+async function skipReminderJob(job) {
+  const g = games[job.gid];
+  if (!g) return;
+  if (!g.remindersFired) g.remindersFired = {};
+  g.remindersFired[job.reminderId] = -Date.now();
+  await saveGame(job.gid, true);
+}
+
+// 報名截止：鎖定名單並推播最終正取/候補名單（重試時名單已鎖定，只補推播）
+async function runDeadlineLockJob(job) {
+  const g = games[job.gid];
+  if (!g || !g.deadline) return;
+  if (!g.locked) {
+    logToFile(`[TRIGGER] Registration deadline reached for ${job.gid}`);
+    g.locked = true;
+    await saveGame(job.gid);
+  }
+  await sendList(null, job.gid, '🔒 報名已截止，最終名單如下');
+  logToFile(`[SUCCESS] Final roster pushed for ${job.gid}`);
+}
+
+async function skipDeadlineLockJob(job) {
+  const g = games[job.gid];
+  if (!g || g.locked) return;
+  g.locked = true;
+  await saveGame(job.gid);
+}
+
+// 週期接龍在本場簽到時段結束後才換場：開打後仍可簽到，分隊、排隊等指令也繼續使用本場名單
+function recurrenceRolloverTime(g) {
+  return Number(g.playTime) + CHECKIN_AFTER_MS;
+}
+
+// 週期接龍：本場簽到時段已過，記錄出席並建立下一場（新的一場的推播工作由 saveGame 排入）
+async function runRecurrenceJob(job) {
+  const g = games[job.gid];
+  if (!g || !g.recurrence || !g.playTime || recurrenceRolloverTime(g) > Date.now()) return;
+  await finalizeAttendance(job.gid);
+  await archiveSession(job.gid, 'rollover');
+  const next = await startNextRecurringSession(job.gid);
+  if (next && !next.scheduleTime) await announceNextSession(job.gid);
+}
+
+// 過期清除：最後活動時間可能已更新（touchGame 不一定存檔），執行前再確認一次
+async function runExpiryJob(job) {
+  const g = games[job.gid];
+  if (!g) return;
+  const lastActive = g.lastActiveTime || g.startTime;
+  if (!lastActive || Date.now() - lastActive <= EXPIRY_TIME) return;
+  console.log(`群組 ${job.gid} 接龍已過期自動刪除`);
+  await finalizeAttendance(job.gid);
+  await archiveSession(job.gid, 'expired');
+  await deleteGame(job.gid);
+  await saveCurrentListSnapshot(null, false);
+}
+
+async function runKeepaliveJob() {
+  // 失敗已記錄在日誌，不需重試，直接排入下一次
+  await pingSelf().catch(() => {});
+  scheduleKeepalive();
+}
+
+// 移除已放棄的工作；記為已完成，避免接龍存檔時以相同到期時間重新排入
+function clearFailedJobs() {
+  const failed = Object.values(jobs).filter(job => job.status === 'failed');
+  failed.forEach(job => {
+    delete jobs[job.id];
+    finishedJobs.set(job.id, job.due);
+  });
+  if (failed.length > 0) saveJobs();
+  return failed.length;
+}
+
+function describeJobs() {
+  const list = Object.values(jobs).sort((a, b) => (a.status === b.status ? a.runAt - b.runAt : (a.status === 'failed' ? 1 : -1)));
+  if (list.length === 0) return '📭 目前沒有排程工作';
+  const fmt = (ts) => new Date(ts).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+  let msg = `🗓️ 排程工作（${list.length} 筆）`;
+  list.slice(0, JOB_LIST_LIMIT).forEach((job, i) => {
+    const g = job.gid ? games[job.gid] : null;
+    const target = job.gid ? `${g ? g.title : '（已刪除）'}${g ? gameTagOf(job.gid) : ''}` : '系統';
+    const label = JOB_TYPES[job.type] ? JOB_TYPES[job.type].label : job.type;
+    msg += `\n${i + 1}. ${job.status === 'failed' ? '❌' : '⏳'} ${label}｜${target}\n   ${fmt(job.due)}`;
+    if (job.status === 'failed') {
+      msg += `\n   已放棄（失敗 ${job.attempts} 次）：${job.lastError}`;
+    } else if (job.attempts > 0) {
+      msg += `\n   重試中（失敗 ${job.attempts} 次，下次 ${fmt(job.runAt)}）：${job.lastError}`;
+    }
+  });
+  if (list.length > JOB_LIST_LIMIT) msg += `\n…還有 ${list.length - JOB_LIST_LIMIT} 筆`;
+  if (list.some(job => job.status === 'failed')) msg += '\n\n確認後輸入「清除失敗排程」移除已放棄的工作';
+  return msg;
+}
+
+// 待載入完成後重建工作佇列，並立即執行停機期間已到期的工作（依補跑策略）
+const startupPromise = loadPromise.then(async () => {
+  const restored = await restoreGamesFromSnapshot().catch((e) => {
+    console.error('Failed to restore games from snapshot:', e);
+    logToFile(`[ERROR] Failed to restore games from snapshot: ${e.message}`);
+    return false;
+  });
+  if (restored) {
+    console.log('✅ 已從快照還原接龍');
+  }
+  const now = Date.now();
+  for (const gid of Object.keys(games)) {
+    // 舊資料沒有時間戳時補上，作為過期清除的起點
+    if (!games[gid].startTime) {
+      games[gid].startTime = now;
+      games[gid].lastActiveTime = now;
+      await saveGame(gid, true);
+    }
+  }
+  // 同步所有接龍（含排程工作中已不存在的接龍，以移除其工作）
+  const gids = new Set(Object.keys(games));
+  Object.values(jobs).forEach(job => { if (job.gid) gids.add(job.gid); });
+  gids.forEach(syncGameJobs);
+  jobsReady = true;
+  console.log(`[Startup] Data loaded, ${Object.keys(jobs).length} scheduled jobs`);
+  return runDueJobs();
+}).catch(console.error);
+
+// 健康檢查端點 - 用於保持服務器喚醒
+app.get('/health', (req, res) => {
+  res.status(200).json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
@@ -848,22 +2174,600 @@ app.get('/health', (req, res) => {
   });
 });
 
-// 根路徑也返回健康狀態（方便外部監控）
-app.get('/', (req, res) => {
-  res.status(200).json({ 
-    status: 'ok', 
-    message: 'Badminton Bot is running',
-    timestamp: new Date().toISOString()
-  });
+// 根路徑也返回健康狀態（方便外部監控）
+app.get('/', (req, res) => {
+  res.status(200).json({ 
+    status: 'ok', 
+    message: 'Badminton Bot is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/webhook', middleware(config), (req, res) => {
+  Promise.all(req.body.events.map(handleEvent))
+    .then(() => res.sendStatus(200))
+    .catch((err) => {
+      console.error('Webhook Error:', err);
+      res.sendStatus(200); // 即使出錯也回 200，避免 LINE 停用 Webhook
+    });
+});
+
+// --- REST API ---
+// 每個群組各自的 API 金鑰（群組內管理員輸入「API金鑰」取得），以 Authorization: Bearer <金鑰> 驗證
+// :gid 為群組 ID；同群組有多個接龍時以 ?game=2 指定（預設第 1 個）
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function requireApiToken(req, res, next) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const entry = apiTokens[req.params.gid];
+  if (!match || !entry) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  const expected = Buffer.from(entry.hash, 'hex');
+  const actual = Buffer.from(hashApiToken(match[1]), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  const shortId = parseInt(req.query.game || (req.body && req.body.game), 10) || 1;
+  req.gameKey = gameKeyFor(req.params.gid, shortId);
+  next();
+}
+
+function serializeGame(gid) {
+  const g = games[gid];
+  const display = name => (name === '__ANON__' ? '匿名' : name);
+  return {
+    gid: groupIdOf(gid),
+    game: shortIdOf(gid),
+    title: g.title,
+    active: g.active,
+    note: g.note || '',
+    scheduleTime: g.scheduleTime ? new Date(Number(g.scheduleTime)).toISOString() : null,
+    playTime: g.playTime ? new Date(Number(g.playTime)).toISOString() : null,
+    deadline: g.deadline ? new Date(Number(g.deadline)).toISOString() : null,
+    locked: isRegistrationLocked(g),
+    lastActiveTime: g.lastActiveTime ? new Date(Number(g.lastActiveTime)).toISOString() : null,
+    sections: g.sections.map((sec, idx) => ({
+      index: idx + 1,
+      title: sec.title,
+      label: sec.label || '',
+      limit: sec.limit,
+      backupLimit: sec.backupLimit,
+      confirmed: sec.list.slice(0, sec.limit).map(display),
+      waitlist: sec.list.slice(sec.limit, sec.limit + sec.backupLimit).map(display)
+    }))
+  };
+}
+
+// API 與管理後台沒有 replyToken，候補遞補時改用推播通知群組
+async function pushPromotions(gid, before) {
+  const promotionMsg = buildPromotionMessage(gid, findPromotions(gid, before));
+  if (!promotionMsg) return;
+  await client.pushMessage(groupIdOf(gid), promotionMsg).catch(e => {
+    logToFile(`[ERROR] Failed to push promotion for ${gid}: ${e.message}`);
+  });
+}
+
+// 名單異動後：記錄操作、存檔、更新快照並通知遞補
+async function commitApiChange(gid, action, beforeState, before, detail = 'API') {
+  const op = recordOperation(gid, null, action, beforeState, detail);
+  if (action === '取消') recordCancellations(gid, op);
+  touchGame(gid);
+  await saveGame(gid, true);
+  await saveCurrentListSnapshot(gid, false);
+  await pushPromotions(gid, before);
+}
+
+// Express 4 不會處理 async handler 拋出的錯誤，交給 next(err) 由錯誤處理回應
+function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+function apiSectionIdx(g, raw) {
+  if (raw === undefined || raw === null || raw === '') return { idx: null };
+  const idx = findSectionIdx(g, String(raw));
+  return idx < 0 ? { error: `找不到區段「${raw}」` } : { idx };
+}
+
+app.get('/api/groups/:gid', requireApiToken, (req, res) => {
+  if (!games[req.gameKey]) return res.status(404).json({ error: '❌ 找不到接龍' });
+  res.json(serializeGame(req.gameKey));
+});
+
+// body: { names: ["A", "B"] } 或 { name: "A" }，匿名用 { anonymous: 2 } 或名字「匿名」；section 可指定區段（標籤、標題或第幾段）
+// 名字的解析與檢查與聊天指令 +N 相同：一次最多 9 人、不可重複
+app.post('/api/groups/:gid/registrations', express.json(), requireApiToken, asyncHandler(async (req, res) => {
+  const gid = req.gameKey;
+  const blocked = checkRegistrationOpen(gid, null);
+  if (blocked) return res.status(blocked.status).json({ error: blocked.message });
+  const g = games[gid];
+  const pick = apiSectionIdx(g, req.body.section);
+  if (pick.error) return res.status(400).json({ error: pick.error });
+  const sectionIdx = pick.idx ?? 0;
+  let names = [];
+  if (Array.isArray(req.body.names)) names = req.body.names.flatMap(n => parseRegistrationNames(String(n).trim()));
+  else if (req.body.name) names = parseRegistrationNames(String(req.body.name).trim());
+  // 超過上限的數量只需多一個就會被拒絕，不必真的建立那麼多占位符
+  const anonCount = Math.min(Math.max(parseInt(req.body.anonymous, 10) || 0, 0), MAX_REGISTRATION_NAMES + 1);
+  names = names.concat(Array(anonCount).fill('__ANON__'));
+  if (names.length === 0) return res.status(400).json({ error: '請提供 names、name 或 anonymous' });
+  const invalid = checkRegistrationNames(g.sections[sectionIdx].list, names);
+  if (invalid) return res.status(invalid.status).json({ error: invalid.message });
+  const before = captureSections(gid);
+  const beforeState = snapshotGame(gid);
+  names.forEach(n => addToList(gid, sectionIdx, n, { uid: null }));
+  await commitApiChange(gid, '報名', beforeState, before);
+  res.status(201).json(serializeGame(gid));
+}));
+
+// name 為「匿名」時移除最後一個匿名；?section= 指定區段，否則從所有區段移除
+app.delete('/api/groups/:gid/registrations/:name', requireApiToken, asyncHandler(async (req, res) => {
+  const gid = req.gameKey;
+  const blocked = checkRegistrationOpen(gid, null);
+  if (blocked) return res.status(blocked.status).json({ error: blocked.message });
+  const g = games[gid];
+  const pick = apiSectionIdx(g, req.query.section);
+  if (pick.error) return res.status(400).json({ error: pick.error });
+  const name = req.params.name;
+  const before = captureSections(gid);
+  const beforeState = snapshotGame(gid);
+  if (name === '匿名' || name === '__ANON__') {
+    if (!(await removeAnon(gid, { sectionIdx: pick.idx }))) return res.status(404).json({ error: '名單中沒有匿名' });
+  } else {
+    if (!g.sections.some((sec, idx) => (pick.idx === null || pick.idx === idx) && sec.list.includes(name))) {
+      return res.status(404).json({ error: `名單中沒有「${name}」` });
+    }
+    await removeFromList(gid, name, { sectionIdx: pick.idx });
+  }
+  await commitApiChange(gid, '取消', beforeState, before);
+  res.json(serializeGame(gid));
+}));
+
+// body: { title, limit, backup, schedule, section }；schedule 為 YYYY/MM/DD HH:mm（台灣時間），null 表示取消排程
+app.patch('/api/groups/:gid', express.json(), requireApiToken, asyncHandler(async (req, res) => {
+  const gid = req.gameKey;
+  const g = games[gid];
+  if (!g || !g.active) return res.status(404).json({ error: '❌ 找不到接龍' });
+  const pick = apiSectionIdx(g, req.body.section);
+  if (pick.error) return res.status(400).json({ error: pick.error });
+  const section = g.sections[pick.idx ?? 0];
+  const { title, limit, backup, schedule } = req.body;
+  const newLimit = limit !== undefined ? parseInt(limit, 10) : null;
+  const newBackup = backup !== undefined ? parseInt(backup, 10) : null;
+  const newSchedule = schedule ? parseTaipeiTime(String(schedule)) : null;
+  if (title !== undefined && !String(title).trim()) return res.status(400).json({ error: '標題不可為空' });
+  if (limit !== undefined && !(newLimit > 0)) return res.status(400).json({ error: '人數必須大於 0' });
+  if (backup !== undefined && !(newBackup >= 0)) return res.status(400).json({ error: '候補不可小於 0' });
+  if (schedule && !newSchedule) return res.status(400).json({ error: '時間格式錯誤，例如：2026/01/06 20:00' });
+  const changedFields = [];
+  const before = captureSections(gid);
+  const beforeState = snapshotGame(gid);
+  if (title !== undefined) {
+    g.title = String(title).trim();
+    changedFields.push('標題');
+  }
+  if (newLimit !== null) {
+    changedFields.push(`人數 ${section.limit}→${newLimit}`);
+    section.limit = newLimit;
+  }
+  if (newBackup !== null) {
+    changedFields.push(`候補 ${section.backupLimit}→${newBackup}`);
+    section.backupLimit = newBackup;
+  }
+  if (schedule !== undefined) {
+    g.scheduleTime = newSchedule;
+    g.scheduleInput = newSchedule ? String(schedule) : null;
+    changedFields.push(newSchedule ? `排程 ${schedule}` : '取消排程');
+  }
+  if (changedFields.length === 0) return res.status(400).json({ error: '請指定要修改的項目（title、limit、backup 或 schedule）' });
+  await commitApiChange(gid, '接龍修改', beforeState, before, `API ${changedFields.join('、')}`);
+  res.json(serializeGame(gid));
+}));
+
+// API 發生未預期的錯誤時回傳 JSON 500，不讓請求掛著
+app.use('/api', (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  // 4xx 為請求本身的錯誤（例如 JSON 格式錯誤），其餘視為伺服器錯誤
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    console.error('API Error:', err);
+    logToFile(`[ERROR] API ${req.method} ${req.originalUrl} failed: ${err.message}`);
+  }
+  res.status(status).json({ error: status === 500 ? '伺服器錯誤，請稍後再試' : err.message });
+});
+
+// --- 行事曆訂閱（iCalendar） ---
+// /calendar/:gid.ics?token=... 為群組行事曆；加上 player=名字 則只列出該球友為正取的場次
+// token 以 CALENDAR_SECRET（未設定時用 LINE Channel Secret）做 HMAC，不需另外保存；更換密鑰即可讓舊連結失效
+const CALENDAR_SECRET = process.env.CALENDAR_SECRET || config.channelSecret;
+const CALENDAR_SESSION_MS = 2 * 60 * 60 * 1000; // 每場預設 2 小時
+const CALENDAR_RECENT_MS = 60 * 24 * 60 * 60 * 1000; // 列出最近 60 天已結束的場次
+
+function calendarToken(chatId, player = null) {
+  return crypto.createHmac('sha256', CALENDAR_SECRET)
+    .update(player ? `${chatId}:${player}` : chatId)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function calendarUrl(chatId, player = null) {
+  const query = `token=${calendarToken(chatId, player)}${player ? `&player=${encodeURIComponent(player)}` : ''}`;
+  return `${publicBaseUrl()}/calendar/${encodeURIComponent(chatId)}.ics?${query}`;
+}
+
+function icsEscape(v) {
+  return String(v ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsTime(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// iCalendar 每行最多 75 bytes，超過時換行並以空白開頭接續
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 球友在名單中的狀態：正取 / 候補N / null
+function rosterStatus(g, name) {
+  for (const sec of g.sections) {
+    const idx = sec.list.indexOf(name);
+    if (idx < 0) continue;
+    return idx < sec.limit ? '正取' : `候補${idx - sec.limit + 1}`;
+  }
+  return null;
+}
+
+function calendarEvents(chatId, player = null) {
+  const events = [];
+  listGroupGames(chatId).forEach(gid => {
+    const g = games[gid];
+    const start = Number(g.playTime || g.scheduleTime);
+    if (!start) return;
+    const status = player ? rosterStatus(g, player) : null;
+    if (player && status !== '正取') return;
+    const { total } = confirmedAttendees(g);
+    const waitlist = g.sections.reduce((sum, sec) => sum + Math.max(sec.list.length - sec.limit, 0), 0);
+    const description = [
+      player ? `狀態：${status}` : `正取 ${total} 人${waitlist > 0 ? `，候補 ${waitlist} 人` : ''}`,
+      g.note || ''
+    ].filter(Boolean).join('\n');
+    events.push({ uid: `${gid}-${start}`, start, title: g.title, description, status: 'CONFIRMED' });
+  });
+  const since = Date.now() - CALENDAR_RECENT_MS;
+  (sessionHistory[chatId] || []).forEach(session => {
+    if (session.time < since) return;
+    const entry = player ? session.roster.find(r => r.name === player) : null;
+    if (player && !(entry && entry.status === 'confirmed')) return;
+    const attendees = session.roster.filter(r => r.status === 'confirmed').length + (session.anonymous || 0);
+    const description = player
+      ? `狀態：${hasAttended(session, entry) ? '出席' : '缺席'}`
+      : `出席 ${attendees} 人`;
+    events.push({ uid: `${chatId}#${session.shortId || 1}-${session.time}`, start: session.time, title: session.title, description, status: 'CONFIRMED' });
+  });
+  return events.sort((a, b) => a.start - b.start);
+}
+
+function buildCalendar(chatId, player = null) {
+  const now = icsTime(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TonysBadmintonGroup//LINE Bot//ZH',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(player ? `羽球接龍（${player}）` : '羽球接龍')}`,
+    'X-WR-TIMEZONE:Asia/Taipei'
+  ];
+  calendarEvents(chatId, player).forEach(ev => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${icsEscape(ev.uid)}@badminton-bot`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${icsTime(ev.start)}`,
+      `DTEND:${icsTime(ev.start + CALENDAR_SESSION_MS)}`,
+      `SUMMARY:${icsEscape(ev.title)}`,
+      `DESCRIPTION:${icsEscape(ev.description)}`,
+      `STATUS:${ev.status}`,
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+app.get('/calendar/:gid.ics', (req, res) => {
+  const chatId = req.params.gid;
+  const player = req.query.player ? String(req.query.player) : null;
+  const expected = Buffer.from(calendarToken(chatId, player));
+  const actual = Buffer.from(String(req.query.token || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(404).send('Not Found');
+  }
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.send(buildCalendar(chatId, player));
+});
+
+// --- 管理後台 ---
+// /admin：以 ADMIN_PASSWORD 登入，登入狀態存在記憶體（重啟後需重新登入，與聊天室的管理員登入相同）
+// 後台對外公開，沒有設定 ADMIN_PASSWORD 環境變數時（預設密碼寫在原始碼中）整個 /admin 回 404
+const ADMIN_DASHBOARD_ENABLED = !!process.env.ADMIN_PASSWORD;
+const ADMIN_SESSION_TTL = 12 * 60 * 60 * 1000; // 12小時
+const ADMIN_COOKIE = 'admin_session';
+const adminSessions = new Map(); // session token → 過期時間
+// 登入失敗節流：同一 IP 在 ADMIN_LOGIN_WINDOW_MS 內失敗 ADMIN_LOGIN_MAX_FAILURES 次後鎖定 ADMIN_LOGIN_LOCK_MS
+const ADMIN_LOGIN_MAX_FAILURES = 5;
+const ADMIN_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const ADMIN_LOGIN_LOCK_MS = 15 * 60 * 1000;
+const adminLoginFailures = new Map(); // IP → { count, firstAt, lockedUntil }
+
+function escapeHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function readCookie(req, name) {
+  const pair = (req.get('cookie') || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function isAdminSession(req) {
+  const token = readCookie(req, ADMIN_COOKIE);
+  const expires = token && adminSessions.get(token);
+  if (!expires) return false;
+  if (expires < Date.now()) {
+    adminSessions.delete(token);
+    return false;
+  }
+  return true;
+}
+
+// 回傳還需鎖定的毫秒數（0 表示可以嘗試登入）
+function adminLoginLockRemaining(ip, now = Date.now()) {
+  const entry = adminLoginFailures.get(ip);
+  if (!entry) return 0;
+  if (entry.lockedUntil > now) return entry.lockedUntil - now;
+  if (now - entry.firstAt > ADMIN_LOGIN_WINDOW_MS) adminLoginFailures.delete(ip);
+  return 0;
+}
+
+function recordAdminLoginFailure(ip, now = Date.now()) {
+  // 順便清掉已過期的紀錄，避免 Map 無限成長
+  adminLoginFailures.forEach((entry, key) => {
+    if (entry.lockedUntil <= now && now - entry.firstAt > ADMIN_LOGIN_WINDOW_MS) adminLoginFailures.delete(key);
+  });
+  const entry = adminLoginFailures.get(ip) || { count: 0, firstAt: now, lockedUntil: 0 };
+  entry.count += 1;
+  if (entry.count >= ADMIN_LOGIN_MAX_FAILURES) {
+    entry.lockedUntil = now + ADMIN_LOGIN_LOCK_MS;
+    entry.count = 0;
+    entry.firstAt = now;
+    logToFile(`[WARN] Admin dashboard login locked for ${ip} after ${ADMIN_LOGIN_MAX_FAILURES} failures`);
+  }
+  adminLoginFailures.set(ip, entry);
+}
+
+function requireAdminSession(req, res, next) {
+  if (!isAdminSession(req)) return res.redirect('/admin');
+  next();
+}
+
+function formatDuration(ms) {
+  if (ms <= 0) return '即將過期';
+  const hours = Math.floor(ms / (60 * 60 * 1000));
+  const days = Math.floor(hours / 24);
+  return days > 0 ? `${days} 天 ${hours % 24} 小時` : `${hours} 小時 ${Math.floor(ms / 60000) % 60} 分`;
+}
+
+function renderAdminPage(title, content) {
+  return `<!DOCTYPE html>
+<html lang="zh-TW">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Noto Sans", sans-serif; background: #f4f5f7; color: #333; margin: 0; padding: 20px; }
+.container { max-width: 960px; margin: 0 auto; }
+.card { background: #fff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.08); padding: 16px 20px; margin-bottom: 16px; }
+h1 { font-size: 1.5em; } h2 { font-size: 1.2em; margin: 0 0 8px; }
+.meta { color: #666; font-size: 0.9em; line-height: 1.7; }
+.sections { display: flex; flex-wrap: wrap; gap: 16px; margin-top: 12px; }
+.section { flex: 1 1 260px; }
+textarea { width: 100%; min-height: 140px; box-sizing: border-box; font-family: inherit; }
+input[type=number] { width: 64px; }
+button { cursor: pointer; padding: 4px 12px; margin: 4px 4px 0 0; }
+.danger { color: #fff; background: #d9534f; border: none; border-radius: 4px; }
+.error { color: #d9534f; } .notice { color: #2e7d32; }
+pre { white-space: pre-wrap; margin: 0; }
+</style>
+</head>
+<body><div class="container">${content}</div></body>
+</html>`;
+}
+
+function renderLoginPage(error = '') {
+  return renderAdminPage('管理後台登入', `
+<div class="card">
+<h1>🏸 羽球接龍管理後台</h1>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/admin/login">
+<input type="password" name="password" placeholder="管理員密碼" autofocus required>
+<button type="submit">登入</button>
+</form>
+</div>`);
+}
+
+function renderGameCard(gid, now) {
+  const g = games[gid];
+  const lastActive = Number(g.lastActiveTime || g.startTime || now);
+  const key = encodeURIComponent(gid);
+  const sections = g.sections.map((sec, idx) => {
+    const confirmed = Math.min(sec.list.length, sec.limit);
+    const waitlist = Math.max(sec.list.length - sec.limit, 0);
+    const names = sec.list.map(n => (n === '__ANON__' ? '匿名' : n)).join('\n');
+    return `
+<div class="section">
+<form method="post" action="/admin/games/${key}/sections/${idx}">
+<strong>${escapeHtml(sec.title)}</strong>（正取 ${confirmed}/${sec.limit}，候補 ${waitlist}/${sec.backupLimit}）<br>
+人數 <input type="number" name="limit" min="1" value="${sec.limit}">
+候補 <input type="number" name="backupLimit" min="0" value="${sec.backupLimit}">
+<textarea name="list" placeholder="一行一個名字，匿名請填「匿名」">${escapeHtml(names)}</textarea>
+<button type="submit">儲存</button>
+</form>
+</div>`;
+  }).join('');
+  const meta = [
+    `群組：${escapeHtml(groupIdOf(gid))}${shortIdOf(gid) > 1 ? ` #${shortIdOf(gid)}` : ''}`,
+    g.scheduleTime ? `排程推播：${escapeHtml(formatPlayTime(Number(g.scheduleTime)))}（${formatDuration(Number(g.scheduleTime) - now)}後）` : '排程推播：無',
+    g.playTime ? `開打：${escapeHtml(formatPlayTime(g.playTime))}` : '',
+    isRegistrationLocked(g) ? '🔒 報名已截止' : (g.deadline ? `截止：${escapeHtml(formatPlayTime(g.deadline))}` : ''),
+    `最後活動：${escapeHtml(formatOpTime(lastActive))}`,
+    `自動過期：${formatDuration(EXPIRY_TIME - (now - lastActive))}`
+  ].filter(Boolean).join('<br>');
+  return `
+<div class="card">
+<h2>${escapeHtml(g.title)}${g.active ? '' : '（已停用）'}</h2>
+<div class="meta">${meta}</div>
+<div class="sections">${sections}</div>
+<form method="post" action="/admin/games/${key}/push" style="display:inline"><button type="submit">📢 推播名單</button></form>
+<form method="post" action="/admin/games/${key}/end" style="display:inline" onsubmit="return confirm('確定結束這個接龍？')"><button type="submit" class="danger">結束接龍</button></form>
+</div>`;
+}
+
+async function renderDashboard(notice = '', error = '') {
+  const now = Date.now();
+  const { dbStatus, snapshotStatus } = await storage.describe();
+  const keys = Object.keys(games).filter(k => games[k]).sort((a, b) => groupIdOf(a).localeCompare(groupIdOf(b)) || shortIdOf(a) - shortIdOf(b));
+  const cards = keys.length > 0 ? keys.map(gid => renderGameCard(gid, now)).join('') : '<div class="card">目前沒有接龍</div>';
+  return renderAdminPage('羽球接龍管理後台', `
+<div class="card">
+<form method="post" action="/admin/logout" style="float:right"><button type="submit">登出</button></form>
+<h1>🏸 羽球接龍管理後台</h1>
+${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<div class="meta"><pre>${escapeHtml(dbStatus)}\n${escapeHtml(snapshotStatus)}\n目前載入接龍數: ${keys.length}</pre></div>
+</div>
+${cards}`);
+}
+
+app.use('/admin', (req, res, next) => {
+  if (!ADMIN_DASHBOARD_ENABLED) return res.status(404).send('Not Found');
+  next();
+});
+
+app.get('/admin', async (req, res) => {
+  if (!isAdminSession(req)) return res.send(renderLoginPage());
+  try {
+    res.send(await renderDashboard(req.query.notice, req.query.error));
+  } catch (e) {
+    console.error('Admin dashboard error:', e);
+    res.status(500).send(renderAdminPage('管理後台', `<div class="card"><p class="error">載入失敗: ${escapeHtml(e.message)}</p></div>`));
+  }
 });
 
-app.post('/webhook', middleware(config), (req, res) => {
-  Promise.all(req.body.events.map(handleEvent))
-    .then(() => res.sendStatus(200))
-    .catch((err) => {
-      console.error('Webhook Error:', err);
-      res.sendStatus(200); // 即使出錯也回 200，避免 LINE 停用 Webhook
-    });
+app.post('/admin/login', express.urlencoded({ extended: false }), (req, res) => {
+  const locked = adminLoginLockRemaining(req.ip);
+  if (locked > 0) {
+    return res.status(429).send(renderLoginPage(`嘗試次數過多，請 ${Math.ceil(locked / 60000)} 分鐘後再試`));
+  }
+  // 比對雜湊值，長度固定可用 timingSafeEqual
+  const expected = Buffer.from(hashApiToken(ADMIN_PASSWORD), 'hex');
+  const actual = Buffer.from(hashApiToken((req.body && req.body.password) || ''), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    logToFile(`[WARN] Admin dashboard login failed from ${req.ip}`);
+    recordAdminLoginFailure(req.ip);
+    return res.status(401).send(renderLoginPage('密碼錯誤'));
+  }
+  adminLoginFailures.delete(req.ip);
+  const token = crypto.randomBytes(24).toString('hex');
+  adminSessions.set(token, Date.now() + ADMIN_SESSION_TTL);
+  // 透過 HTTPS 連線時加上 Secure，避免登入憑證經由明文連線送出
+  res.set('Set-Cookie', `${ADMIN_COOKIE}=${token}; Path=/admin; HttpOnly; SameSite=Strict${req.secure ? '; Secure' : ''}; Max-Age=${ADMIN_SESSION_TTL / 1000}`);
+  res.redirect('/admin');
+});
+
+app.post('/admin/logout', (req, res) => {
+  adminSessions.delete(readCookie(req, ADMIN_COOKIE));
+  res.set('Set-Cookie', `${ADMIN_COOKIE}=; Path=/admin; HttpOnly; SameSite=Strict${req.secure ? '; Secure' : ''}; Max-Age=0`);
+  res.redirect('/admin');
+});
+
+function redirectDashboard(res, { notice, error }) {
+  const query = notice ? `notice=${encodeURIComponent(notice)}` : `error=${encodeURIComponent(error)}`;
+  res.redirect(`/admin?${query}`);
+}
+
+// 修改某區段的人數、候補與名單
+app.post('/admin/games/:gid/sections/:idx', express.urlencoded({ extended: false }), requireAdminSession, async (req, res) => {
+  const gid = req.params.gid;
+  const g = games[gid];
+  const section = g && g.sections[parseInt(req.params.idx, 10)];
+  if (!section) return redirectDashboard(res, { error: '找不到接龍或區段' });
+  const limit = parseInt(req.body.limit, 10);
+  const backupLimit = parseInt(req.body.backupLimit, 10);
+  if (!(limit > 0) || !(backupLimit >= 0)) return redirectDashboard(res, { error: '人數需大於 0，候補不可小於 0' });
+  const list = String(req.body.list || '')
+    .split(/[,\r\n]+/)
+    .map(line => line.trim().replace(/^\d+[.\s]*\s*/, ''))
+    .filter(Boolean)
+    .map(name => (name === '匿名' || name === '***' ? '__ANON__' : name));
+  if (hasDuplicateNames([], list)) return redirectDashboard(res, { error: '名單中有重複的項目' });
+  const before = captureSections(gid);
+  const beforeState = snapshotGame(gid);
+  section.limit = limit;
+  section.backupLimit = backupLimit;
+  section.list = list;
+  rebuildOwners(section, null);
+  recordOperation(gid, null, '接龍修改', beforeState, '管理後台');
+  touchGame(gid);
+  try {
+    await saveGame(gid, true);
+    await saveCurrentListSnapshot(gid, false);
+    await pushPromotions(gid, before);
+  } catch (e) {
+    logToFile(`[ERROR] Dashboard failed to update ${gid}: ${e.message}`);
+    return redirectDashboard(res, { error: `更新失敗: ${e.message}` });
+  }
+  redirectDashboard(res, { notice: `已更新「${g.title}」` });
+});
+
+app.post('/admin/games/:gid/push', requireAdminSession, async (req, res) => {
+  const gid = req.params.gid;
+  if (!games[gid]) return redirectDashboard(res, { error: '找不到接龍' });
+  try {
+    await sendList(null, gid, '📢 名單更新');
+    logToFile(`[SUCCESS] Dashboard pushed list for ${gid}`);
+    redirectDashboard(res, { notice: `已推播「${games[gid].title}」名單` });
+  } catch (e) {
+    redirectDashboard(res, { error: `推播失敗: ${e.message}` });
+  }
+});
+
+app.post('/admin/games/:gid/end', requireAdminSession, async (req, res) => {
+  const gid = req.params.gid;
+  if (!games[gid]) return redirectDashboard(res, { error: '找不到接龍' });
+  const title = games[gid].title;
+  try {
+    const { next } = await endSession(gid);
+    logToFile(`[SUCCESS] Dashboard ended session ${gid}`);
+    if (next && !next.scheduleTime) await announceNextSession(gid);
+    redirectDashboard(res, { notice: next ? `已結束「${title}」，下一場 ${formatPlayTime(next.playTime)}` : `已結束「${title}」` });
+  } catch (e) {
+    logToFile(`[ERROR] Dashboard failed to end ${gid}: ${e.message}`);
+    redirectDashboard(res, { error: `結束失敗: ${e.message}` });
+  }
 });
 
 async function handleEvent(event) {
@@ -901,19 +2805,42 @@ async function handleEvent(event) {
     }
   }
 
+  // 名單按鈕（postback）：轉成對應的文字指令，沿用 +1 / -1 的檢查與流程
+  if (event.type === 'postback') {
+    const command = postbackToCommand(event.postback && event.postback.data);
+    if (!command) return null;
+    event = { ...event, type: 'message', message: { type: 'text', text: command } };
+  }
+
   if (event.type !== 'message' || event.message.type !== 'text') return null;
 
-  const gid = event.source.groupId || event.source.userId;
+  const chatId = event.source.groupId || event.source.userId;
   const uid = event.source.userId;
-  const text = event.message.text.trim();
+
+  // 多接龍：由 #編號、#標題 或回覆（引用）的名單訊息決定要操作哪一個接龍
+  // 只有一個接龍時維持原本行為，gid 即為該接龍的 key
+  const target = resolveTargetGame(chatId, event.message.text.trim(), event.message.quotedMessageId);
+  const text = target.text;
+  const gid = target.key;
 
   // 檢查是否為群組首次使用（僅針對群組，使用 replyMessage 而非 pushMessage 節省額度）
   let showWelcome = false;
-  if (gid && (gid.startsWith('C') || gid.startsWith('R')) && !firstUseGroups.has(gid)) {
-    firstUseGroups.add(gid);
+  if (chatId && (chatId.startsWith('C') || chatId.startsWith('R')) && !firstUseGroups.has(chatId)) {
+    firstUseGroups.add(chatId);
     showWelcome = true;
   }
 
+  // 找不到接龍時：有多個接龍未指定、或指定的編號不存在才提示，其餘情況維持不回覆
+  const replyNoGame = async () => {
+    if (target.ambiguous) {
+      return await client.replyMessage(event.replyToken, { type: 'text', text: describeGroupGames(chatId, '❓ 目前有多個接龍，請指定要操作哪一個') });
+    }
+    if (target.missing) {
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 找不到接龍 #${target.missing}` });
+    }
+    return null;
+  };
+
   // --- 指令解析輔助函數 ---
   const getParams = (str) => {
     const matches = str.match(/\{(.+?)\}/g);
@@ -923,11 +2850,22 @@ async function handleEvent(event) {
   try {
     // 1. 接龍開始
     if (text.startsWith('接龍開始')) {
+      // 已有多個接龍時需指定覆蓋哪一個，或用 #新 開新的接龍
+      if (!gid) {
+        return await replyNoGame();
+      }
       const titleMatch = text.match(/標題\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
       const limitMatch = text.match(/人數\s*[:：]?\s*[{\uff5b](\d+)[}\uff5d]/);
       const backupMatch = text.match(/候補\s*[:：]?\s*[{\uff5b](\d+)[}\uff5d]/);
       const anonMatch = text.match(/匿名名單\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
       const timeMatch = text.match(/時間\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const deadlineMatch = text.match(/截止\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const recurMatch = text.match(/週期\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const fixedMatch = text.match(/固定\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const courtFee = parseFeeParam(text, '場地費');
+      const shuttleFee = parseFeeParam(text, '球費');
+      const playMatch = text.match(/開打\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const reminderMatch = text.match(/提醒\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
 
       let textForList = text;
       if (anonMatch) textForList = text.replace(anonMatch[0], '');
@@ -968,30 +2906,63 @@ async function handleEvent(event) {
       let scheduleInput = null;
       if (timeMatch) {
         const raw = timeMatch[1].trim();
-        console.log(`Parsing time string: "${raw}"`);
-        // 嘗試解析 YYYY/MM/DD HH:mm 或 YYYY-MM-DD HH:mm 格式
-        const dateTimeMatch = raw.match(/(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})\s+(\d{1,2}):(\d{2})/);
-        if (dateTimeMatch) {
-          const [, year, month, day, hours, minutes] = dateTimeMatch;
-          const dateObj = new Date(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes), 0);
-          // 將輸入視為台灣時間 (UTC+8)，轉換為 UTC timestamp
-          const TAIPEI_OFFSET_HOURS = 8;
-          const utcMillisForInput = Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes));
-          scheduleTime = utcMillisForInput - (TAIPEI_OFFSET_HOURS * 60 * 60 * 1000);
-          scheduleInput = raw;
-          console.log(`Parsed as Taipei local ${dateObj.toString()} -> UTC ${new Date(scheduleTime).toUTCString()} (timestamp: ${scheduleTime})`);
-        } else {
-          // 備用：嘗試 Date.parse
-          let ts = Date.parse(raw);
-          if (isNaN(ts)) {
-            const alt = raw.replace(/-/g, '/');
-            ts = Date.parse(alt);
-          }
-          if (!isNaN(ts)) {
-            scheduleTime = ts;
-            scheduleInput = raw;
-          }
-          console.log(`Fallback Date.parse result: ${scheduleTime}`);
+        scheduleTime = parseTaipeiTime(raw);
+        if (scheduleTime) scheduleInput = raw;
+      }
+
+      // 報名截止時間：時間到後鎖定 + / -（管理員除外）並推播最終名單
+      let deadline = null;
+      let deadlineInput = null;
+      if (deadlineMatch) {
+        const raw = deadlineMatch[1].trim();
+        deadline = parseTaipeiTime(raw);
+        if (!deadline) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 截止時間格式錯誤，例如：截止{2026/01/06 18:00}' });
+        }
+        deadlineInput = raw;
+      }
+
+      // 開打時間：用於顯示與簽到時段
+      let playTime = null;
+      if (playMatch) {
+        playTime = parseTaipeiTime(playMatch[1].trim());
+        if (!playTime) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 開打時間格式錯誤，例如：開打{2026/01/06 20:00}' });
+        }
+      }
+
+      // 週期設定：本場打球時間為下一個符合的時段，之後每場自動建立
+      let recurrence = null;
+      if (recurMatch) {
+        recurrence = parseRecurrence(recurMatch[1]);
+        if (!recurrence) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 週期格式錯誤，例如：週期{每週二 20:00} 或 週期{每週二、六 20:00}' });
+        }
+        playTime = nextOccurrence(recurrence);
+        // 有設定開放時間時，之後每場都在打球前相同的時間開放報名
+        recurrence.openOffset = scheduleTime && playTime > scheduleTime ? playTime - scheduleTime : null;
+        recurrence.deadlineOffset = deadline && playTime > deadline ? playTime - deadline : null;
+        recurrence.fixed = [];
+        if (fixedMatch) {
+          recurrence.fixed = fixedMatch[1]
+            .split(/[,\n]+/)
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => line.replace(/^\d+[.\s]*\s*/, ''));
+          // 固定成員排在最前面，已在名單中的不重複加入
+          initialList = recurrence.fixed.filter(n => !initialList.includes(n)).concat(initialList);
+        }
+      }
+
+      // 開打前提醒：需要有開打時間（或週期）
+      let reminders = DEFAULT_REMINDERS;
+      if (reminderMatch) {
+        reminders = parseReminders(reminderMatch[1]);
+        if (!reminders) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 提醒格式錯誤，例如：提醒{24h,2h,空位3h}' });
+        }
+        if (reminders.length > 0 && !playTime) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 設定提醒需要開打時間，例如：開打{2026/01/06 20:00}' });
         }
       }
 
@@ -1001,6 +2972,10 @@ async function handleEvent(event) {
         return await client.replyMessage(event.replyToken, { type: 'text', text: '名單已重複' });
       }
 
+      // 覆蓋進行中的接龍時保留操作紀錄，誤開新接龍也能用「接龍復原」救回
+      const previous = games[gid] ? snapshotGame(gid, true) : null;
+      const previousLog = games[gid] ? { opLog: games[gid].opLog, opSeq: games[gid].opSeq } : null;
+
       games[gid] = {
         title: title,
         note: '',
@@ -1009,12 +2984,30 @@ async function handleEvent(event) {
         lastActiveTime: Date.now(),
         scheduleTime: scheduleTime,
         scheduleInput: scheduleInput,
+        deadline: deadline,
+        deadlineInput: deadlineInput,
+        locked: false,
+        playTime: playTime,
+        recurrence: recurrence,
+        groupId: chatId,
+        shortId: shortIdOf(gid),
+        creatorUid: uid || null,
         anonymous: anonList, // 兼容舊的匿名名單（若為數字則用 placeholder 存入 list）
         anonymousCount: anonCount,
+        fees: (courtFee !== null || shuttleFee !== null) ? { court: courtFee || 0, shuttle: shuttleFee || 0 } : null,
+        paid: {},
+        reminders: playTime ? reminders : [],
+        remindersFired: {},
         sections: [
           { title: '報名名單', limit: limit, backupLimit: backupLimit, label: '', list: initialList }
         ]
       };
+      // 初始名單視為建立者代為報名
+      rebuildOwners(games[gid].sections[0], uid);
+      if (previous) {
+        Object.assign(games[gid], previousLog);
+        recordOperation(gid, uid, '接龍開始', previous, `覆蓋「${previous.title || '未命名'}」`);
+      }
       await saveGame(gid, true); // 立即寫入，確保資料不丟失
       if (listMatch) {
         await saveCurrentListSnapshot(gid, false);
@@ -1028,6 +3021,9 @@ async function handleEvent(event) {
       if (showWelcome) {
         welcomePrefix = '👋 大家好！我是羽球接龍機器人。\n\n';
       }
+      if (recurrence) {
+        welcomePrefix += `🔁 已設定週期：${describeRecurrence(recurrence)}\n`;
+      }
       
       if (scheduleTime) {
         // 若時間已過則立即觸發一次
@@ -1043,13 +3039,17 @@ async function handleEvent(event) {
     if (text === '接龍結束') {
       // 沒有接龍時不回覆
       if (!games[gid]) {
-        return null;
+        return await replyNoGame();
+      }
+      const { next } = await endSession(gid);
+      // 週期接龍：已建立下一場
+      if (next) {
+        if (!next.scheduleTime) {
+          // 立即開放報名：用 replyMessage 顯示新名單，省下一次推播
+          return await sendList(event.replyToken, gid, '✅ 已結束，🔁 下一場接龍開始！');
+        }
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `✅ 已結束\n🔁 下一場 ${formatPlayTime(next.playTime)}，將於 ${formatPlayTime(next.scheduleTime)} 開放報名` });
       }
-      // 保存最終名單快照到 CSV（在刪除前）
-      await saveCurrentListSnapshot(gid, true);
-      await deleteGame(gid);
-      // 刪除後更新 CSV，移除該群組資料
-      await saveCurrentListSnapshot(null, false);
       // 優化：不發送回覆訊息，直接更新名單顯示結束狀態（節省一次 replyMessage）
       // 用戶可以通過查看名單確認，或我們可以在 sendList 中顯示結束訊息
       // 但為了更好的體驗，還是回覆一個簡短訊息，但使用更簡潔的文字
@@ -1060,17 +3060,25 @@ async function handleEvent(event) {
     if (text.startsWith('接龍修改') || text.startsWith('接龍修正')) {
       // 沒有接龍或已結束時不回覆
       if (!games[gid] || !games[gid].active) {
-        return null;
+        return await replyNoGame();
       }
 
       const titleMatch = text.match(/標題\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
       const limitMatch = text.match(/人數\s*[:：]?\s*[{\uff5b](\d+)[}\uff5d]/);
       const backupMatch = text.match(/候補\s*[:：]?\s*[{\uff5b](\d+)[}\uff5d]/);
+      const deadlineMatch = text.match(/截止\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const courtFee = parseFeeParam(text, '場地費');
+      const shuttleFee = parseFeeParam(text, '球費');
+      const playMatch = text.match(/開打\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const reminderMatch = text.match(/提醒\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
       
       let textForList = text;
       const listMatch = textForList.match(/名單\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
 
       let hasChanges = false;
+      const before = captureSections(gid);
+      const beforeState = snapshotGame(gid);
+      const changedFields = [];
       const section = games[gid].sections[0];
       const currentList = section.list;
       const oldLimit = section.limit;
@@ -1079,6 +3087,7 @@ async function handleEvent(event) {
       if (titleMatch) {
         const newTitle = titleMatch[1].trim();
         games[gid].title = newTitle;
+        changedFields.push('標題');
         hasChanges = true;
       }
 
@@ -1092,6 +3101,7 @@ async function handleEvent(event) {
             // 不需要移動，因為sendList會根據limit自動判斷哪些是候補
           }
           section.limit = newLimit;
+          changedFields.push(`人數 ${oldLimit}→${newLimit}`);
           hasChanges = true;
         }
       }
@@ -1100,11 +3110,70 @@ async function handleEvent(event) {
       if (backupMatch) {
         const newBackupLimit = parseInt(backupMatch[1], 10);
         if (newBackupLimit >= 0) {
+          changedFields.push(`候補 ${section.backupLimit}→${newBackupLimit}`);
           section.backupLimit = newBackupLimit;
           hasChanges = true;
         }
       }
 
+      // 修改截止時間：{取消} 或 {無} 表示移除截止並解除鎖定
+      if (deadlineMatch) {
+        const raw = deadlineMatch[1].trim();
+        if (raw === '' || raw === '取消' || raw === '無') {
+          games[gid].deadline = null;
+          games[gid].deadlineInput = null;
+          games[gid].locked = false;
+          changedFields.push('取消截止');
+        } else {
+          const deadline = parseTaipeiTime(raw);
+          if (!deadline) {
+            return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 截止時間格式錯誤，例如：截止{2026/01/06 18:00}' });
+          }
+          games[gid].deadline = deadline;
+          games[gid].deadlineInput = raw;
+          games[gid].locked = false;
+          changedFields.push(`截止 ${raw}`);
+        }
+        hasChanges = true;
+      }
+
+      // 修改開打時間（週期接龍由週期決定，不在此修改）
+      if (playMatch && !games[gid].recurrence) {
+        const playTime = parseTaipeiTime(playMatch[1].trim());
+        if (!playTime) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 開打時間格式錯誤，例如：開打{2026/01/06 20:00}' });
+        }
+        games[gid].playTime = playTime;
+        // 開打時間改了，提醒依新的時間重新計算
+        games[gid].remindersFired = {};
+        changedFields.push('開打時間');
+        hasChanges = true;
+      }
+
+      // 修改提醒：沿用已發送的紀錄，相同的提醒不會再發一次
+      if (reminderMatch) {
+        const reminders = parseReminders(reminderMatch[1]);
+        if (!reminders) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 提醒格式錯誤，例如：提醒{24h,2h,空位3h}' });
+        }
+        if (reminders.length > 0 && !games[gid].playTime) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 設定提醒需要開打時間，例如：開打{2026/01/06 20:00}' });
+        }
+        games[gid].reminders = reminders;
+        changedFields.push(reminders.length > 0 ? '提醒' : '取消提醒');
+        hasChanges = true;
+      }
+
+      // 修改費用
+      if (courtFee !== null || shuttleFee !== null) {
+        const fees = games[gid].fees || { court: 0, shuttle: 0 };
+        if (courtFee !== null) fees.court = courtFee;
+        if (shuttleFee !== null) fees.shuttle = shuttleFee;
+        games[gid].fees = fees;
+        changedFields.push('費用');
+        hasChanges = true;
+      }
+
       // 修改名單
       if (listMatch) {
         const newListStr = listMatch[1].trim();
@@ -1121,13 +3190,16 @@ async function handleEvent(event) {
         }
 
         section.list = newList;
+        rebuildOwners(section, uid);
+        changedFields.push('名單');
         hasChanges = true;
       }
 
       if (!hasChanges) {
-        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 請指定要修改的項目（標題、人數、候補或名單）' });
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 請指定要修改的項目（標題、人數、候補、截止、開打、提醒、場地費、球費或名單）' });
       }
 
+      recordOperation(gid, uid, '接龍修改', beforeState, changedFields.join('、'));
       touchGame(gid);
       await saveGame(gid, true); // 立即寫入，確保資料不丟失
       if (listMatch) {
@@ -1141,11 +3213,14 @@ async function handleEvent(event) {
         updateMsg += `\n📋 人數已從 ${oldLimit} 調整為 ${parseInt(limitMatch[1], 10)}，超出的人員將顯示為候補`;
       }
       
-      return await sendList(event.replyToken, gid, updateMsg);
+      // 人數調高或名單變動都可能讓候補遞補為正取
+      const promotionMsg = buildPromotionMessage(gid, findPromotions(gid, before));
+      return await sendList(event.replyToken, gid, updateMsg, promotionMsg ? [promotionMsg] : []);
     }
 
     // 2. 報名 (+1 到 +9) / 取消 (-1 到 -9)
     // 支援 "+1AA"、"+1 AA"、"AA+1"、"AA +1" 等格式（+1 到 +9）
+    // 多區段時可用 "+1@B"、"+2 @後半場 小明 小華"、"小明+1@2" 指定區段（標籤、區段標題或第幾段）
     let addMatch = null;
     let count = 0;
     let content = '';
@@ -1159,12 +3234,12 @@ async function handleEvent(event) {
     } 
     // 檢查是否以 +1 到 +9 結尾（前面必須有名字，+1 前可以有空白或直接連接）
     else {
-      const endMatch = text.match(/^(.+?)(\s*)\+([1-9])$/);
+      const endMatch = text.match(/^(.+?)(\s*)\+([1-9])(\s*[@＠]\S+)?$/);
       if (endMatch) {
         const namePart = endMatch[1].trim();
         if (namePart) {
           count = parseInt(endMatch[3], 10);
-          content = namePart;
+          content = `${namePart}${endMatch[4] ? ' ' + endMatch[4].trim() : ''}`;
           addMatch = { count: count, content: content };
         }
       }
@@ -1173,28 +3248,29 @@ async function handleEvent(event) {
     if (addMatch) {
       // 檢查接龍是否存在 - 沒有接龍時不回覆
       if (!games[gid]) {
-        return null;
+        return await replyNoGame();
       }
       
-      // 檢查接龍是否活躍 - 已結束時不回覆
-      if (!games[gid].active) {
-        return null;
+      // 已結束、尚未開放（不回覆）或已截止時不可異動，與 API 共用同一套檢查
+      const blocked = checkRegistrationOpen(gid, uid);
+      if (blocked) {
+        return blocked.silent ? null : await client.replyMessage(event.replyToken, { type: 'text', text: blocked.message });
       }
-      // 若已有排程且尚未到時間，禁止提前 + / - 操作 - 不回覆
-      if (games[gid] && games[gid].scheduleTime && Number(games[gid].scheduleTime) > Date.now()) {
-        return null;
+      const sectionPick = extractSectionToken(games[gid], content);
+      if (sectionPick.error) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: sectionPick.error });
       }
-      const currentList = games[gid].sections[0].list;
+      content = sectionPick.content;
+      const sectionIdx = sectionPick.idx ?? 0;
+      const currentList = games[gid].sections[sectionIdx].list;
       let namesToAdd = [];
 
       // 支援 +1 匿名 或 +1匿名
-      if (content && /匿名/.test(content)) {
-        namesToAdd = Array(count).fill('__ANON__');
-      } else if (content) {
-        namesToAdd = content.split(/[\s,]+/).filter(n => n);
+      if (content) {
+        namesToAdd = parseRegistrationNames(content, count);
       } else if (count === 1) {
         // 優化：先檢查快取或名單映射，減少 API 呼叫
-        const cacheKey = `${gid}_${uid}`;
+        const cacheKey = `${chatId}_${uid}`;
         let userName = null;
         
         // 1. 檢查快取
@@ -1231,20 +3307,19 @@ async function handleEvent(event) {
       }
 
       if (namesToAdd.length > 0) {
-        // 對於匿名占位符允許重複，對於實名則檢查重複
-        const realNames = namesToAdd.filter(n => n !== '__ANON__');
-        const hasDuplicate = realNames.some(n => currentList.includes(n));
-        const hasSelfDuplicate = new Set(realNames).size !== realNames.length;
-        if (hasDuplicate || hasSelfDuplicate) {
-          return await client.replyMessage(event.replyToken, { type: 'text', text: '名單已重複' });
+        const invalid = checkRegistrationNames(currentList, namesToAdd);
+        if (invalid) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: invalid.message });
         }
+        const beforeState = snapshotGame(gid);
         namesToAdd.forEach(n => {
-          addToList(gid, 0, n, { uid });
+          addToList(gid, sectionIdx, n, { uid });
           // 更新 UID 到名稱的映射（僅對實名）
           if (n !== '__ANON__') {
-            uidToNameMap.set(`${gid}_${uid}`, n);
+            uidToNameMap.set(`${chatId}_${uid}`, n);
           }
         });
+        recordOperation(gid, uid, '報名', beforeState);
       }
 
       touchGame(gid);
@@ -1266,12 +3341,12 @@ async function handleEvent(event) {
     } 
     // 檢查是否以 -1 到 -9 結尾（前面必須有名字，-1 前可以有空白或直接連接）
     else {
-      const removeEndMatch = text.match(/^(.+?)(\s*)-([1-9])$/);
+      const removeEndMatch = text.match(/^(.+?)(\s*)-([1-9])(\s*[@＠]\S+)?$/);
       if (removeEndMatch) {
         const namePart = removeEndMatch[1].trim();
         if (namePart) {
           removeMatch = true;
-          removeName = namePart;
+          removeName = `${namePart}${removeEndMatch[4] ? ' ' + removeEndMatch[4].trim() : ''}`;
         }
       }
     }
@@ -1279,22 +3354,26 @@ async function handleEvent(event) {
     if (removeMatch) {
       // 檢查接龍是否存在 - 沒有接龍時不回覆
       if (!games[gid]) {
-        return null;
+        return await replyNoGame();
       }
       
-      // 檢查接龍是否活躍 - 已結束時不回覆
-      if (!games[gid].active) {
-        return null;
+      // 已結束、尚未開放（不回覆）或已截止時不可異動，與 API 共用同一套檢查
+      const blocked = checkRegistrationOpen(gid, uid);
+      if (blocked) {
+        return blocked.silent ? null : await client.replyMessage(event.replyToken, { type: 'text', text: blocked.message });
       }
-      
-      // 若已有排程且尚未到時間，禁止提前 + / - 操作 - 不回覆
-      if (games[gid] && games[gid].scheduleTime && Number(games[gid].scheduleTime) > Date.now()) {
-        return null;
+      // 指定區段時只從該區段取消，否則從所有區段取消
+      const sectionPick = extractSectionToken(games[gid], removeName);
+      if (sectionPick.error) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: sectionPick.error });
       }
-      let name = removeName;
+      const sectionIdx = sectionPick.idx;
+      const before = captureSections(gid);
+      const beforeState = snapshotGame(gid);
+      let name = sectionPick.content;
       if (!name) {
         // 優化：先從名單映射中查找，減少 API 呼叫
-        const cacheKey = `${gid}_${uid}`;
+        const cacheKey = `${chatId}_${uid}`;
         let userName = null;
         
         // 1. 檢查快取
@@ -1309,8 +3388,7 @@ async function handleEvent(event) {
         if (!userName && uidToNameMap.has(cacheKey)) {
           userName = uidToNameMap.get(cacheKey);
           // 檢查名稱是否在名單中
-          const currentList = games[gid].sections[0].list;
-          if (!currentList.includes(userName)) {
+          if (!games[gid].sections.some(s => s.list.includes(userName))) {
             // 如果名稱不在名單中，呼叫 API 獲取最新名稱
             userName = await getName(gid, uid);
             uidToNameMap.set(cacheKey, userName);
@@ -1322,105 +3400,553 @@ async function handleEvent(event) {
         }
         
         name = userName || await getName(gid, uid);
-        await removeFromList(gid, name, { uid });
+        if (!canManageName(gid, name, uid, name)) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 只有報名者本人或管理員可以取消「${name}」的報名` });
+        }
+        await removeFromList(gid, name, { uid, sectionIdx });
       } else if (name === '匿名' || /匿名/.test(name)) {
-        // 移除最後一個匿名占位符
-        await removeAnon(gid, { uid });
+        // 移除最後一個匿名占位符：一般成員只能取消自己登記的匿名
+        const removed = await removeAnon(gid, { uid, sectionIdx, ownerUid: isGameAdmin(gid, uid) ? null : uid });
+        if (!removed && games[gid].sections[sectionIdx ?? 0].list.includes('__ANON__')) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 只能取消自己登記的匿名名額' });
+        }
+      } else {
+        const isListed = games[gid].sections.some(s => s.list.includes(name));
+        const cached = userNameCache.get(`${chatId}_${uid}`);
+        // 快取沒有名稱或名稱已過時時，再查一次顯示名稱確認是否為本人
+        if (isListed && !canManageName(gid, name, uid, cached ? cached.name : null) && !canManageName(gid, name, uid, await getName(gid, uid))) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 只有報名者本人或管理員可以取消「${name}」的報名` });
+        }
+        await removeFromList(gid, name, { uid, sectionIdx });
+      }
+      const cancelOp = recordOperation(gid, uid, '取消', beforeState);
+      recordCancellations(gid, cancelOp);
+      await saveGame(gid, true); // 立即寫入，確保資料不丟失
+      await saveCurrentListSnapshot(gid, false);
+      // 有人取消導致候補遞補時，一併通知遞補者
+      const promotionMsg = buildPromotionMessage(gid, findPromotions(gid, before));
+      return await sendList(event.replyToken, gid, '', promotionMsg ? [promotionMsg] : []);
+    }
+
+    // 3. 接龍狀態查詢
+    if (text === '接龍狀態' || text === '接龍查詢') {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      const g = games[gid];
+      const now = Date.now();
+      const startTime = g.startTime ? new Date(g.startTime).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' }) : '未知';
+      const age = g.startTime ? Math.floor((now - g.startTime) / (24 * 60 * 60 * 1000)) : 0;
+      let statusMsg = `📋 接龍狀態\n\n`;
+      statusMsg += `標題：${g.title || '未設定'}${listGroupGames(chatId).length > 1 ? ` #${shortIdOf(gid)}` : ''}\n`;
+      statusMsg += `狀態：${g.active ? '✅ 進行中' : '❌ 已結束'}\n`;
+      statusMsg += `開始時間：${startTime}\n`;
+      statusMsg += `已進行：${age} 天\n`;
+      if (g.scheduleTime) {
+        const schedTime = new Date(Number(g.scheduleTime)).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+        statusMsg += `定時推播：${schedTime}\n`;
+      }
+      if (g.deadline) {
+        const deadlineTime = new Date(Number(g.deadline)).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+        statusMsg += `報名截止：${deadlineTime}\n`;
+      }
+      statusMsg += `報名狀態：${isRegistrationLocked(g) ? '🔒 已截止（僅管理員可異動）' : '🔓 開放中'}\n`;
+      if ((g.reminders || []).length > 0) {
+        statusMsg += `開打前提醒：${describeReminders(g)}\n`;
+      }
+      if (g.sections.length > 1) {
+        g.sections.forEach((sec, idx) => {
+          const backupCount = Math.max(sec.list.length - sec.limit, 0);
+          statusMsg += `【${sec.title}】@${sec.label || idx + 1}：${Math.min(sec.list.length, sec.limit)} / ${sec.limit}，候補 ${backupCount} / ${sec.backupLimit}\n`;
+        });
       } else {
-        await removeFromList(gid, name, { uid });
+        statusMsg += `報名人數：${g.sections[0]?.list?.length || 0} / ${g.sections[0]?.limit || 0}\n`;
+      }
+      return await client.replyMessage(event.replyToken, { type: 'text', text: statusMsg });
+    }
+
+    // 4. 批量名單 或 查詢
+    if (text.startsWith('接龍名單')) {
+      const input = text.replace('接龍名單', '').trim();
+      if (input === '' || input === '#') {
+        // 沒有接龍時不回覆
+        if (!games[gid]) {
+          return await replyNoGame();
+        }
+        return await sendList(event.replyToken, gid);
+      }
+      
+      // 沒有接龍或已結束時不回覆
+      if (!games[gid] || !games[gid].active) {
+        return await replyNoGame();
+      }
+      // 報名截止後只有管理者可以異動名單
+      if (isRegistrationLocked(games[gid]) && !isGameAdmin(gid, uid)) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '🔒 報名已截止，如需異動請聯絡主辦或管理員' });
+      }
+      
+      // 多區段時可用 接龍名單 @B 名字1 名字2 指定區段
+      const sectionPick = extractSectionToken(games[gid], input);
+      if (sectionPick.error) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: sectionPick.error });
+      }
+      const sectionIdx = sectionPick.idx ?? 0;
+      const namesToAdd = sectionPick.content.split(/\s+/).filter(n => n);
+      const currentList = games[gid].sections[sectionIdx].list;
+      const hasDuplicate = namesToAdd.some(n => currentList.includes(n));
+      const hasSelfDuplicate = new Set(namesToAdd).size !== namesToAdd.length;
+      if (hasDuplicate || hasSelfDuplicate) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '名單已重複' });
+      }
+
+      const beforeState = snapshotGame(gid);
+      namesToAdd.forEach(n => {
+        addToList(gid, sectionIdx, n, { uid });
+        // 更新 UID 到名稱的映射（僅對實名）
+        if (n !== '__ANON__') {
+          uidToNameMap.set(`${chatId}_${uid}`, n);
+        }
+      });
+      recordOperation(gid, uid, '接龍名單', beforeState);
+      await saveGame(gid, true); // 立即寫入，確保資料不丟失
+      await saveCurrentListSnapshot(gid, false);
+      return await sendList(event.replyToken, gid);
+    }
+
+    // 5. 多區段設定: 接龍 {段標題}{人數}{候補}{標籤}、接龍2{...}、接龍3{...}...
+    // 只接受「接龍」或「接龍N」後直接接大括號，避免吃掉其他 接龍xxx 指令
+    const sectionCmdMatch = text.match(/^接龍(\d*)\s*\{/);
+    if (sectionCmdMatch) {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      const p = getParams(text);
+      const idx = sectionCmdMatch[1] ? Math.max(parseInt(sectionCmdMatch[1], 10) - 1, 0) : 0;
+      if (idx > games[gid].sections.length) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 目前只有 ${games[gid].sections.length} 個區段，請先設定 接龍${games[gid].sections.length + 1}{...}` });
+      }
+      const before = captureSections(gid);
+      const beforeState = snapshotGame(gid);
+      games[gid].sections[idx] = {
+        title: p[0] || `區段${idx + 1}`,
+        limit: parseInt(p[1]) || 10,
+        backupLimit: parseInt(p[2]) || 0,
+        label: p[3] || '',
+        list: games[gid].sections[idx]?.list || [],
+        owners: games[gid].sections[idx]?.owners || []
+      };
+      recordOperation(gid, uid, '區段設定', beforeState, `區段${idx + 1}`);
+      touchGame(gid);
+      await saveGame(gid, true); // 立即寫入，確保資料不丟失
+      const promotionMsg = buildPromotionMessage(gid, findPromotions(gid, before));
+      return await sendList(event.replyToken, gid, `⚙️ 區段${idx + 1} 更新成功`, promotionMsg ? [promotionMsg] : []);
+    }
+
+    // 多接龍：列出群組內所有進行中的接龍
+    if (text === '接龍列表') {
+      if (listGroupGames(chatId).length === 0) {
+        return null;
+      }
+      return await client.replyMessage(event.replyToken, { type: 'text', text: describeGroupGames(chatId) });
+    }
+
+    // 費用分攤：接龍費用 / 已付 / 取消已付 / 未付名單
+    if (text === '接龍費用') {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      if (!games[gid].fees) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: 'ℹ️ 尚未設定費用\n請用 接龍修改 加上 場地費{金額} 球費{金額}' });
+      }
+      return await client.replyMessage(event.replyToken, { type: 'text', text: describeFees(games[gid]) });
+    }
+
+    const paidMatch = text.match(/^(取消已付|已付)(\s+[\s\S]*)?$/);
+    if (paidMatch) {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      const g = games[gid];
+      const markPaid = paidMatch[1] === '已付';
+      let names = (paidMatch[2] || '').split(/[\s,]+/).filter(n => n);
+      const { names: attendees } = confirmedAttendees(g);
+      // 自己的名字：先找自己登記的名字，再用 LINE 顯示名稱（需要時才查詢，節省 API 額度）
+      const mapped = uidToNameMap.get(`${chatId}_${uid}`);
+      const selfName = async () => (mapped && attendees.includes(mapped) ? mapped : await getName(gid, uid));
+      // 沒寫名字：標記自己
+      if (names.length === 0) names = [await selfName()];
+      const notFound = names.filter(n => !attendees.includes(n));
+      if (notFound.length > 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 不在正取名單中：${notFound.join('、')}` });
+      }
+      // 只能標記自己登記的名字或自己，管理者可以標記任何人
+      const denied = [];
+      for (const n of names) {
+        if (!canManageName(gid, n, uid) && !canManageName(gid, n, uid, await selfName())) denied.push(n);
+      }
+      if (denied.length > 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 只有報名者本人或管理員可以標記「${denied.join('、')}」的付款` });
+      }
+      if (!g.paid) g.paid = {};
+      names.forEach(n => {
+        if (markPaid) g.paid[n] = { uid: uid || null, time: Date.now() };
+        else delete g.paid[n];
+      });
+      touchGame(gid);
+      await saveGame(gid, true); // 立即寫入，確保資料不丟失
+      await saveCurrentListSnapshot(gid, false);
+      const unpaidCount = attendees.filter(n => !g.paid[n]).length;
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `${markPaid ? '✅ 已標記付款' : '↩️ 已取消付款標記'}：${names.join('、')}\n目前未付 ${unpaidCount} 人` });
+    }
+
+    if (text === '未付名單') {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      const g = games[gid];
+      const { names } = confirmedAttendees(g);
+      const unpaid = names.filter(n => !(g.paid && g.paid[n]));
+      if (unpaid.length === 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '🎉 正取成員都已付款' });
+      }
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `⌛ 未付名單（${unpaid.length}）\n${unpaid.map((n, i) => `${i + 1}. ${n}`).join('\n')}` });
+    }
+
+    // 簽到：簽到（自己）/ 簽到 A B C（管理者代簽）/ 簽到名單 / 缺席紀錄
+    const checkinMatch = text.match(/^簽到(\s+[\s\S]*)?$/);
+    if (checkinMatch) {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      const g = games[gid];
+      const isAdmin = isGameAdmin(gid, uid);
+      let names = (checkinMatch[1] || '').split(/[\s,]+/).filter(n => n);
+      if (names.length > 0 && !isAdmin) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 只有接龍建立者或管理員可以幫別人簽到' });
+      }
+      if (!isAdmin && !isCheckinOpen(g)) {
+        const from = formatPlayTime(Number(g.playTime) - CHECKIN_BEFORE_MS);
+        const to = formatPlayTime(Number(g.playTime) + CHECKIN_AFTER_MS);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `⏰ 目前不在簽到時段（${from} ～ ${to}）` });
+      }
+      const { names: attendees } = confirmedAttendees(g);
+      if (names.length === 0) {
+        const mapped = uidToNameMap.get(`${chatId}_${uid}`);
+        names = [mapped && attendees.includes(mapped) ? mapped : await getName(gid, uid)];
+      }
+      const notFound = names.filter(n => !attendees.includes(n));
+      if (notFound.length > 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 不在正取名單中：${notFound.join('、')}` });
+      }
+      if (!g.checkins) g.checkins = {};
+      const selfCheckin = !checkinMatch[1];
+      names.forEach(n => {
+        // uid 記錄被簽到的人（代簽時為報名者的 UID），by 記錄操作者
+        if (!g.checkins[n]) g.checkins[n] = { uid: (selfCheckin ? uid : findOwnerUid(gid, n)) || null, by: uid || null, time: Date.now() };
+      });
+      touchGame(gid);
+      await saveGame(gid, true); // 立即寫入，確保資料不丟失
+      const checkedCount = attendees.filter(n => g.checkins[n]).length;
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `✅ 已簽到：${names.join('、')}\n目前簽到 ${checkedCount} / ${attendees.length} 人` });
+    }
+
+    if (text === '簽到名單') {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
       }
-      await saveGame(gid, true); // 立即寫入，確保資料不丟失
-      await saveCurrentListSnapshot(gid, false);
-      return await sendList(event.replyToken, gid);
+      const g = games[gid];
+      const { names: attendees } = confirmedAttendees(g);
+      const checked = attendees.filter(n => g.checkins && g.checkins[n]);
+      const missing = attendees.filter(n => !(g.checkins && g.checkins[n]));
+      let msg = `📍 ${g.title} 簽到狀況 ${checked.length} / ${attendees.length}\n`;
+      msg += `\n✅ 已簽到：${checked.length > 0 ? checked.join('、') : '無'}`;
+      msg += `\n⌛ 未簽到：${missing.length > 0 ? missing.join('、') : '無'}`;
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
     }
 
-    // 3. 接龍狀態查詢
-    if (text === '接龍狀態' || text === '接龍查詢') {
+    if (text === '缺席紀錄') {
+      const book = attendance[chatId] || {};
+      const rows = Object.entries(book)
+        .filter(([, entry]) => entry.noShows > 0)
+        .sort((a, b) => b[1].noShows - a[1].noShows || (b[1].lastNoShow || 0) - (a[1].lastNoShow || 0));
+      if (rows.length === 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '📭 目前沒有缺席紀錄' });
+      }
+      let msg = '🚫 缺席紀錄（有報名正取但未簽到）\n';
+      rows.slice(0, 20).forEach(([name, entry], i) => {
+        const total = entry.attended + entry.noShows;
+        msg += `\n${i + 1}. ${name}：缺席 ${entry.noShows} / ${total} 場`;
+        if (entry.lastNoShow) msg += `（最近 ${formatPlayTime(entry.lastNoShow).split(' ')[0]}）`;
+      });
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+    }
+
+    // 分隊排場：分隊{場地數} [輪{N}] [程度{A:3,B:2}] [種子{N}]
+    const pairingMatch = text.match(/^分隊\s*[{\uff5b]\s*(\d+)\s*[}\uff5d]/);
+    if (pairingMatch) {
       // 沒有接龍時不回覆
       if (!games[gid]) {
-        return null;
+        return await replyNoGame();
       }
       const g = games[gid];
-      const now = Date.now();
-      const startTime = g.startTime ? new Date(g.startTime).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' }) : '未知';
-      const age = g.startTime ? Math.floor((now - g.startTime) / (24 * 60 * 60 * 1000)) : 0;
-      let statusMsg = `📋 接龍狀態\n\n`;
-      statusMsg += `標題：${g.title || '未設定'}\n`;
-      statusMsg += `狀態：${g.active ? '✅ 進行中' : '❌ 已結束'}\n`;
-      statusMsg += `開始時間：${startTime}\n`;
-      statusMsg += `已進行：${age} 天\n`;
-      if (g.scheduleTime) {
-        const schedTime = new Date(Number(g.scheduleTime)).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
-        statusMsg += `定時推播：${schedTime}\n`;
+      const courts = parseInt(pairingMatch[1], 10);
+      const roundsMatch = text.match(/輪\s*[:：]?\s*[{\uff5b]\s*(\d+)\s*[}\uff5d]/);
+      const seedMatch = text.match(/種子\s*[:：]?\s*[{\uff5b]\s*(\d+)\s*[}\uff5d]/);
+      const levelsMatch = text.match(/程度\s*[:：]?\s*[{\uff5b]([\s\S]*?)[}\uff5d]/);
+      const rounds = Math.min(Math.max(roundsMatch ? parseInt(roundsMatch[1], 10) : PAIRING_DEFAULT_ROUNDS, 1), PAIRING_MAX_ROUNDS);
+      const players = pairingPlayers(g);
+      if (courts < 1) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 場地數至少為 1' });
       }
-      statusMsg += `報名人數：${g.sections[0]?.list?.length || 0} / ${g.sections[0]?.limit || 0}\n`;
-      return await client.replyMessage(event.replyToken, { type: 'text', text: statusMsg });
+      if (players.length < 4) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 正取只有 ${players.length} 人，雙打至少需要 4 人` });
+      }
+      // 程度會記在接龍上，之後分隊不用重新輸入
+      if (levelsMatch) {
+        g.levels = Object.assign(g.levels || {}, parseLevels(levelsMatch[1]));
+        await saveGame(gid);
+      }
+      const seed = seedMatch ? parseInt(seedMatch[1], 10) : Math.floor(Math.random() * 1000000);
+      const plan = generatePairings(players, courts, rounds, { seed, levels: g.levels || {} });
+      return await client.replyMessage(event.replyToken, { type: 'text', text: describePairings(g, plan, seed) });
     }
 
-    // 4. 批量名單 或 查詢
-    if (text.startsWith('接龍名單')) {
-      const input = text.replace('接龍名單', '').trim();
-      if (input === '' || input === '#') {
-        // 沒有接龍時不回覆
-        if (!games[gid]) {
-          return null;
+    // 現場輪場：下場 [名字...] / 下一場 {場地} / 排隊
+    // 下一場只接受指令格式（或單獨的「下一場」提示格式），避免「下一場什麼時候打？」之類的聊天被當成指令
+    const nextMatch = text.match(/^下一場\s*[{｛]?\s*(\d+)\s*[}｝]?$/);
+    if (text === '排隊' || text === '下場' || text.startsWith('下場 ') || text === '下一場' || nextMatch) {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      const g = games[gid];
+      const state = syncCourtQueue(g);
+
+      if (text === '排隊') {
+        await saveGame(gid);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: describeCourtQueue(g) });
+      }
+
+      if (text === '下一場' || nextMatch) {
+        if (!nextMatch || parseInt(nextMatch[1], 10) < 1) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 格式：下一場 {場地編號}，例如 下一場 2' });
         }
-        return await sendList(event.replyToken, gid);
+        const court = String(parseInt(nextMatch[1], 10));
+        // 場上還有人時視為該場打完，全部回到隊尾
+        const finished = state.courts[court] ? leaveCourt(state, state.courts[court].players.slice()) : [];
+        syncCourtQueue(g);
+        if (state.queue.length < COURT_PLAYERS) {
+          await saveGame(gid, true);
+          return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 排隊只有 ${state.queue.length} 人，不足 ${COURT_PLAYERS} 人上場` });
+        }
+        const players = state.queue.splice(0, COURT_PLAYERS);
+        state.courts[court] = { players, since: Date.now() };
+        await saveGame(gid, true);
+        let msg = `📣 場${court} 上場：${players.slice(0, 2).join('、')} vs ${players.slice(2).join('、')}`;
+        if (finished.length > 0) msg += `\n↩️ 下場排隊：${finished.join('、')}`;
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `${msg}\n\n${describeCourtQueue(g)}` });
       }
-      
-      // 沒有接龍或已結束時不回覆
-      if (!games[gid] || !games[gid].active) {
-        return null;
+
+      // 下場：沒有指定名字時為自己
+      const specified = text.replace(/^下場/, '').trim().split(/[\s,，、]+/).filter(Boolean);
+      const names = specified.length > 0 ? specified : [await getName(gid, uid)];
+      const left = leaveCourt(state, names);
+      syncCourtQueue(g);
+      if (left.length === 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ ${names.join('、')} 目前不在場上` });
       }
-      
-      const namesToAdd = input.split(/\s+/).filter(n => n);
-      const currentList = games[gid].sections[0].list;
-      const hasDuplicate = namesToAdd.some(n => currentList.includes(n));
-      const hasSelfDuplicate = new Set(namesToAdd).size !== namesToAdd.length;
-      if (hasDuplicate || hasSelfDuplicate) {
-        return await client.replyMessage(event.replyToken, { type: 'text', text: '名單已重複' });
+      await saveGame(gid, true);
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `↩️ ${left.join('、')} 已下場排隊\n\n${describeCourtQueue(g)}` });
+    }
+
+    // 比賽結果與積分：比分 A B 21:15 C D / 我的積分 / 積分榜
+    // 只有符合比分格式才回覆，「比分很接近」之類的聊天不理會
+    const matchResult = parseMatchResult(text);
+    if (matchResult) {
+      const players = matchResult.teamA.concat(matchResult.teamB);
+      if (new Set(players).size !== players.length) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 同一場比賽不能出現重複的名字' });
+      }
+      if (matchResult.scoreA === matchResult.scoreB) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 比分不能平手' });
       }
+      const match = await recordMatch(chatId, matchResult, uid);
+      const aWon = matchResult.scoreA > matchResult.scoreB;
+      const winners = aWon ? matchResult.teamA : matchResult.teamB;
+      const losers = aWon ? matchResult.teamB : matchResult.teamA;
+      const gain = Math.abs(match.delta);
+      let msg = `🏸 已記錄比分：${matchResult.teamA.join('、')} ${matchResult.scoreA}:${matchResult.scoreB} ${matchResult.teamB.join('、')}\n`;
+      msg += `\n🏆 ${winners.join('、')} +${gain}`;
+      msg += `\n${losers.join('、')} -${gain}\n`;
+      players.forEach(name => {
+        msg += `\n${name}：${playerRating(chatId, name)}`;
+      });
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+    }
 
-      namesToAdd.forEach(n => {
-        addToList(gid, 0, n, { uid });
-        // 更新 UID 到名稱的映射（僅對實名）
-        if (n !== '__ANON__') {
-          uidToNameMap.set(`${gid}_${uid}`, n);
-        }
+    if (text === '我的積分') {
+      const name = await getName(chatId, uid);
+      const msg = describePlayerRating(chatId, name);
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg || `📭 ${name} 還沒有比賽紀錄\n記錄方式：比分 A B 21:15 C D` });
+    }
+
+    if (text === '積分榜') {
+      const book = ratings[chatId];
+      const rows = book ? Object.entries(book.players).sort((a, b) => b[1].rating - a[1].rating || b[1].games - a[1].games) : [];
+      if (rows.length === 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '📭 目前沒有比賽紀錄\n記錄方式：比分 A B 21:15 C D' });
+      }
+      let msg = `📊 積分榜（共 ${book.matches.length} 場比賽）\n`;
+      rows.slice(0, 20).forEach(([name, entry], i) => {
+        const medal = ['🥇', '🥈', '🥉'][i] || `${i + 1}.`;
+        msg += `\n${medal} ${name}：${entry.rating}（${entry.wins} 勝 ${entry.losses} 敗）`;
+      });
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+    }
+
+    // 行事曆訂閱：群組行事曆與自己為正取的場次
+    if (text === '行事曆') {
+      const name = await getName(chatId, uid);
+      const msg = `📅 行事曆訂閱（可加入 Google / Apple 行事曆）\n\n` +
+        `群組所有場次：\n${calendarUrl(chatId)}\n\n` +
+        `${name} 的正取場次：\n${calendarUrl(chatId, name)}`;
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+    }
+
+    // 出席統計：我的出席 / 出席排行 [YYYY/MM]（依已封存的場次計算）
+    if (text === '我的出席') {
+      const name = await getName(chatId, uid);
+      const msg = describePlayerStats(chatId, name);
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg || `📭 ${name} 目前沒有出席紀錄` });
+    }
+
+    const rankMatch = text.match(/^出席排行(?:\s+(\d{4})[\/-](\d{1,2}))?$/);
+    if (rankMatch) {
+      const now = new Date();
+      const year = rankMatch[1] ? parseInt(rankMatch[1], 10) : now.getFullYear();
+      const month = rankMatch[2] ? parseInt(rankMatch[2], 10) : now.getMonth() + 1;
+      if (month < 1 || month > 12) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 月份格式錯誤，請使用 出席排行 YYYY/MM' });
+      }
+      const sessions = sessionsInMonth(chatId, year, month);
+      const counts = {};
+      sessions.forEach(s => s.roster.forEach(entry => {
+        if (hasAttended(s, entry)) counts[entry.name] = (counts[entry.name] || 0) + 1;
+      }));
+      const rows = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+      const label = `${year}/${month.toString().padStart(2, '0')}`;
+      if (rows.length === 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `📭 ${label} 沒有出席紀錄` });
+      }
+      let msg = `🏆 ${label} 出席排行（共 ${sessions.length} 場）\n`;
+      rows.slice(0, 10).forEach(([name, count], i) => {
+        const medal = ['🥇', '🥈', '🥉'][i] || `${i + 1}.`;
+        msg += `\n${medal} ${name}：${count} 場`;
       });
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+    }
+
+    // 週期接龍：查詢 / 取消
+    if (text === '接龍週期') {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      const g = games[gid];
+      if (!g.recurrence) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: 'ℹ️ 目前接龍沒有設定週期\n可在接龍開始時加入 週期{每週二 20:00}' });
+      }
+      const rec = g.recurrence;
+      let msg = `🔁 週期接龍\n\n週期：${describeRecurrence(rec)}\n`;
+      if (g.playTime) {
+        msg += `本場：${formatPlayTime(g.playTime)}\n`;
+        const nextPlay = nextOccurrence(rec, Number(g.playTime));
+        if (nextPlay) msg += `下一場：${formatPlayTime(nextPlay)}\n`;
+      }
+      msg += rec.openOffset
+        ? `開放報名：打球前 ${Math.round(rec.openOffset / 3600000 * 10) / 10} 小時\n`
+        : '開放報名：上一場結束後立即開放\n';
+      msg += `固定名單：${rec.fixed && rec.fixed.length > 0 ? rec.fixed.join('、') : '無'}`;
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+    }
+
+    if (text === '接龍週期取消' || text === '取消週期') {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      if (!games[gid].recurrence) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: 'ℹ️ 目前接龍沒有設定週期' });
+      }
+      if (!isGameAdmin(gid, uid)) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 只有接龍建立者或管理員可以取消週期' });
+      }
+      const desc = describeRecurrence(games[gid].recurrence);
+      delete games[gid].recurrence;
+      touchGame(gid);
       await saveGame(gid, true); // 立即寫入，確保資料不丟失
-      await saveCurrentListSnapshot(gid, false);
-      return await sendList(event.replyToken, gid);
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `🛑 已取消週期（${desc}），本場接龍不受影響` });
     }
 
-    // 5. 多區段設定: 接龍 {段標題}{人數}{候補}{標籤} 或 接龍2...
-    // 注意：必須在"接龍修改/接龍修正"之後檢查，且不能是"接龍修改"或"接龍修正"
-    if (text.startsWith('接龍') && text.includes('{') && !text.startsWith('接龍修改') && !text.startsWith('接龍修正') && !text.startsWith('接龍名單') && !text.startsWith('接龍開始') && !text.startsWith('接龍結束') && !text.startsWith('接龍清空') && !text.startsWith('接龍刪除')) {
+    // 操作紀錄：接龍紀錄 [筆數]
+    if (/^接龍紀錄(\s*\d+)?$/.test(text)) {
       // 沒有接龍時不回覆
       if (!games[gid]) {
-        return null;
+        return await replyNoGame();
+      }
+      const n = Math.min(Math.max(parseInt(text.replace('接龍紀錄', '').trim(), 10) || 10, 1), OP_LOG_LIMIT);
+      const log = (games[gid].opLog || []).slice(-n).reverse();
+      if (log.length === 0) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '📜 目前沒有操作紀錄' });
+      }
+      let msg = `📜 操作紀錄（最近 ${log.length} 筆）\n`;
+      for (const op of log) {
+        const who = op.uid ? await getName(gid, op.uid) : '系統';
+        msg += `\n${formatOpTime(op.time)} ${who}｜${describeOperation(op)}${op.undone ? '（已復原）' : ''}`;
+      }
+      return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+    }
+
+    // 復原：接龍復原（最近一筆）/ 接龍復原 我（自己的最後一筆）
+    if (text === '接龍復原' || text === '接龍復原 我') {
+      // 沒有接龍時不回覆
+      if (!games[gid]) {
+        return await replyNoGame();
+      }
+      if (isRegistrationLocked(games[gid]) && !isGameAdmin(gid, uid)) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '🔒 報名已截止，如需異動請聯絡主辦或管理員' });
+      }
+      const before = captureSections(gid);
+      const result = undoOperation(gid, uid, text.endsWith('我'));
+      if (result.error) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: result.error });
       }
-      const p = getParams(text);
-      const idx = text.startsWith('接龍2') ? 1 : 0;
-      games[gid].sections[idx] = {
-        title: p[0] || `區段${idx + 1}`,
-        limit: parseInt(p[1]) || 10,
-        backupLimit: parseInt(p[2]) || 0,
-        label: p[3] || '',
-        list: games[gid].sections[idx]?.list || []
-      };
       touchGame(gid);
       await saveGame(gid, true); // 立即寫入，確保資料不丟失
-      return await sendList(event.replyToken, gid, `⚙️ 區段${idx + 1} 更新成功`);
+      await saveCurrentListSnapshot(gid, false);
+      const promotionMsg = buildPromotionMessage(gid, findPromotions(gid, before));
+      return await sendList(event.replyToken, gid, `↩️ 已復原：${describeOperation(result.op)}`, promotionMsg ? [promotionMsg] : []);
     }
 
     // 5. 清除/刪除/結束
     if (text === '接龍清空') {
       // 沒有接龍時不回覆
       if (!games[gid]) {
-        return null;
+        return await replyNoGame();
       }
-      games[gid].sections.forEach(s => s.list = []);
+      const beforeState = snapshotGame(gid);
+      games[gid].sections.forEach(s => {
+        s.list = [];
+        s.owners = [];
+      });
+      recordOperation(gid, uid, '接龍清空', beforeState, '清空名單');
       touchGame(gid);
       await saveGame(gid, true); // 立即寫入，確保資料不丟失
       // 清空後保存空名單快照
@@ -1430,7 +3956,7 @@ async function handleEvent(event) {
     if (text === '接龍刪除') {
       // 沒有接龍時不回覆
       if (!games[gid]) {
-        return null;
+        return await replyNoGame();
       }
       await deleteGame(gid);
       // 刪除後更新 CSV，移除該群組資料
@@ -1447,116 +3973,763 @@ async function handleEvent(event) {
       }
     }
 
-    // 6. 系統狀態檢查
-    if (text === '系統狀態') {
+    // 6. 系統狀態 / 8. 排程檢查：已移至管理後台，不再把原始資料貼到群組
+    if (text === '系統狀態' || text === '排程檢查') {
       if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
-      let dbStatus = '⚠️ 僅使用記憶體 (無資料庫)';
-      if (pool) {
-        try {
-          await pool.query('SELECT 1'); // 嘗試執行簡單查詢測試連線
-          dbStatus = '✅ 資料庫連線正常';
-        } catch (e) {
-          dbStatus = '❌ 資料庫連線異常';
-        }
+      if (!ADMIN_DASHBOARD_ENABLED) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '📊 管理後台未啟用，請設定 ADMIN_PASSWORD 環境變數' });
       }
-      
-      let csvStatus = '';
-      if (USE_GITHUB) {
-        try {
-          // 測試 GitHub 連線
-          const testEndpoint = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}`;
-          await githubApiRequest('GET', testEndpoint);
-          const recordCount = regCsvContent ? regCsvContent.split('\n').length - 1 : 0;
-          csvStatus = `✅ GitHub CSV 正常\n   倉庫: ${GITHUB_OWNER}/${GITHUB_REPO}\n   路徑: ${GITHUB_CSV_PATH}\n   記錄數: ${recordCount}`;
-        } catch (e) {
-          csvStatus = `❌ GitHub CSV 連線失敗: ${e.message}`;
-        }
-      } else {
-        const localExists = fs.existsSync(REG_CSV_FILE);
-        if (localExists) {
-          const content = await fs.promises.readFile(REG_CSV_FILE, 'utf8').catch(() => '');
-          const recordCount = content ? content.split('\n').length - 1 : 0;
-          csvStatus = `📁 本地 CSV 模式\n   記錄數: ${recordCount}`;
-        } else {
-          csvStatus = '📁 本地 CSV 模式（尚未建立檔案）';
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `📊 系統狀態與排程請至管理後台查看：\n${publicBaseUrl()}/admin` });
+    }
+
+    // 7. 資料庫列表 (檢查 DB 內容)
+    if (text === '資料庫列表') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      if (!storage.listDatabase) return await client.replyMessage(event.replyToken, { type: 'text', text: '⚠️ 無資料庫連線' });
+      try {
+        const db = await storage.listDatabase();
+        if (db.games.length === 0) {
+          return await client.replyMessage(event.replyToken, { type: 'text', text: `📭 資料庫內無接龍（結構版本 ${db.version}，封存 ${db.sessions} 場）` });
         }
+        let msg = `📦 資料庫存檔列表（結構版本 ${db.version}，封存 ${db.sessions} 場）:\n`;
+        db.games.forEach((g, i) => {
+          msg += `${i + 1}. ${g.title || '未命名'} (${g.gid}) ${g.registrations} 人・${g.sections} 區段\n`;
+        });
+        return await client.replyMessage(event.replyToken, { type: 'text', text: msg.trim() });
+      } catch (e) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 查詢失敗: ${e.message}` });
       }
-      
-      return await client.replyMessage(event.replyToken, { 
-        type: 'text', 
-        text: `📊 系統狀態\n\n${dbStatus}\n\n${csvStatus}\n\n目前載入接龍數: ${Object.keys(games).length}` 
-      });
     }
 
-    // 7. 資料庫列表 (檢查 DB 內容)
-    if (text === '資料庫列表') {
-      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
-      if (!pool) return await client.replyMessage(event.replyToken, { type: 'text', text: '⚠️ 無資料庫連線' });
-      try {
-        const res = await pool.query('SELECT gid, data FROM games');
-        if (res.rows.length === 0) {
-          return await client.replyMessage(event.replyToken, { type: 'text', text: '📭 資料庫內無資料' });
-        }
-        let msg = '📦 資料庫存檔列表:\n';
-        res.rows.forEach((row, i) => {
-          const g = row.data;
-          msg += `${i + 1}. ${g.title || '未命名'} (${row.gid})\n`;
-        });
-        return await client.replyMessage(event.replyToken, { type: 'text', text: msg.trim() });
-      } catch (e) {
-        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 查詢失敗: ${e.message}` });
-      }
+    // API 金鑰：API金鑰（產生/重新產生，私訊給管理員）/ API金鑰 撤銷
+    if (text === 'API金鑰' || text === 'API金鑰 撤銷') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      if (text === 'API金鑰 撤銷') {
+        delete apiTokens[chatId];
+        await saveCollection('apiTokens', apiTokens);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '🔑 已撤銷本群組的 API 金鑰' });
+      }
+      const token = crypto.randomBytes(24).toString('hex');
+      // 金鑰只私訊給管理員，不在群組中顯示；私訊成功才替換舊金鑰
+      try {
+        await client.pushMessage(uid, { type: 'text', text: `🔑 API 金鑰\n群組：${chatId}\n金鑰：${token}\n\n使用方式：Authorization: Bearer <金鑰>\n重新產生後舊金鑰立即失效` });
+      } catch (e) {
+        logToFile(`[ERROR] Failed to send API token for ${chatId}: ${e.message}`);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '❌ 無法私訊金鑰，請先將機器人加為好友' });
+      }
+      apiTokens[chatId] = { hash: hashApiToken(token), createdAt: Date.now(), createdBy: uid };
+      await saveCollection('apiTokens', apiTokens);
+      logToFile(`[SUCCESS] API token issued for ${chatId} by ${uid}`);
+      return await client.replyMessage(event.replyToken, { type: 'text', text: '🔑 已產生 API 金鑰並私訊給你（舊金鑰已失效）' });
+    }
+
+    // 9. 測試推播
+    if (text === '測試推播') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      try {
+        await client.pushMessage(chatId, { type: 'text', text: '✅ 測試推播成功！' });
+        logToFile(`[TEST] Push message succeeded for ${chatId}`);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '✅ 推播測試成功！群組應已收到訊息' });
+      } catch (e) {
+        logToFile(`[TEST] Push message failed for ${chatId}: ${e.message}`);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 推播失敗: ${e.message}` });
+      }
+    }
+
+    // 10. 強制檢查排程
+    if (text === '強制檢查排程') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      logToFile(`[FORCE] Manual schedule check triggered`);
+      await runDueJobs();
+      return await client.replyMessage(event.replyToken, { type: 'text', text: '✅ 已執行到期的排程工作，請查看日誌' });
+    }
+
+    // 11. 同步狀態：快照同步狀態（GitHub 模式含未同步異動與合併衝突）
+    if (text === '同步狀態') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      const { snapshotStatus } = await storage.describe();
+      return await client.replyMessage(event.replyToken, { type: 'text', text: `🔄 同步狀態（${storage.label}）\n${snapshotStatus}` });
+    }
+
+    // 12. 排程列表：列出所有待執行/失敗的排程工作
+    if (text === '排程列表') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      return await client.replyMessage(event.replyToken, { type: 'text', text: describeJobs() });
+    }
+
+    // 13. 清除失敗排程：移除已放棄重試的工作
+    if (text === '清除失敗排程') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      const count = clearFailedJobs();
+      return await client.replyMessage(event.replyToken, { type: 'text', text: count > 0 ? `🧹 已清除 ${count} 筆失敗的排程工作` : '📭 沒有失敗的排程工作' });
+    }
+
+    // 14. 備份列表：列出可還原的每日備份
+    if (text === '備份列表') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      try {
+        const dates = (await storage.listBackups()).reverse();
+        let msg = `🗄️ 備份列表（${storage.label}，共 ${dates.length} 份）\n保留：最近 ${BACKUP_KEEP_DAILY} 份每日、最近 ${BACKUP_KEEP_MONTHLY} 個月每月一份`;
+        if (dates.length === 0) msg += '\n\n📭 目前沒有備份（每天第一次名單異動時自動備份）';
+        else msg += `\n\n${dates.join('\n')}\n\n還原：還原備份 {YYYY-MM-DD} [群組ID]`;
+        return await client.replyMessage(event.replyToken, { type: 'text', text: msg });
+      } catch (e) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 讀取備份列表失敗: ${e.message}` });
+      }
+    }
+
+    // 15. 還原備份 {YYYY-MM-DD} [群組ID]：先預覽差異，輸入「確認還原」後才套用
+    const restoreMatch = text.match(/^還原備份\s*[{\uff5b]?(\d{4}-\d{2}-\d{2})[}\uff5d]?(?:\s+(\S+))?$/);
+    if (restoreMatch) {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      try {
+        const result = await prepareBackupRestore(restoreMatch[1], restoreMatch[2] || null);
+        if (result.error) return await client.replyMessage(event.replyToken, { type: 'text', text: result.error });
+        pendingRestores.set(uid, result.restore);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: result.preview });
+      } catch (e) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 讀取備份失敗: ${e.message}` });
+      }
+    }
+    if (text === '確認還原') {
+      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
+      const restore = pendingRestores.get(uid);
+      pendingRestores.delete(uid);
+      if (!restore || restore.expiresAt < Date.now()) {
+        return await client.replyMessage(event.replyToken, { type: 'text', text: '⚠️ 沒有待確認的還原，請先輸入「還原備份 {YYYY-MM-DD} [群組ID]」預覽' });
+      }
+      const scope = restore.groupId ? `群組 ${restore.groupId}` : '全部群組';
+      try {
+        const restored = await applyBackupRestore(restore, uid);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `✅ 已還原 ${restore.date} 的備份（${scope}，${restored.length} 個接龍）${describeRestoredGames(restored)}` });
+      } catch (e) {
+        console.error('還原備份失敗:', e);
+        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 還原 ${restore.date} 的備份（${scope}）時發生錯誤: ${e.message}\n失敗前已還原：${describeRestoredGames(e.restored || [])}` });
+      }
+    }
+
+  } catch (e) {
+    console.error('Logic Error:', e);
+  }
+}
+
+// --- 費用分攤 ---
+// g.fees = { court, shuttle }（元），g.paid = { 名字: { uid, time } }
+function parseFeeParam(text, keyword) {
+  const match = text.match(new RegExp(`${keyword}\\s*[:：]?\\s*[{\\uff5b]\\s*([\\d,]+)\\s*[}\\uff5d]`));
+  return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+}
+
+// 所有區段的正取名單（同名只算一次，匿名各算一人）
+function confirmedAttendees(g) {
+  const names = [];
+  let anonCount = 0;
+  g.sections.forEach(sec => {
+    sec.list.slice(0, sec.limit).forEach(name => {
+      if (name === '__ANON__') anonCount++;
+      else if (!names.includes(name)) names.push(name);
+    });
+  });
+  return { names, anonCount, total: names.length + anonCount };
+}
+
+function describeFees(g) {
+  const fees = g.fees || {};
+  const court = fees.court || 0;
+  const shuttle = fees.shuttle || 0;
+  const total = court + shuttle;
+  const { names, anonCount, total: headcount } = confirmedAttendees(g);
+  // 無條件進位到整數，避免主揪貼錢
+  const perPerson = headcount > 0 ? Math.ceil(total / headcount) : 0;
+  const paid = names.filter(n => g.paid && g.paid[n]);
+  const unpaid = names.filter(n => !(g.paid && g.paid[n]));
+  let msg = `💰 ${g.title} 費用分攤\n\n`;
+  msg += `場地費：${court} 元\n`;
+  msg += `球費：${shuttle} 元\n`;
+  msg += `合計：${total} 元\n`;
+  msg += `正取人數：${headcount} 人${anonCount > 0 ? `（含匿名 ${anonCount}）` : ''}\n`;
+  msg += `每人：${perPerson} 元\n`;
+  msg += `\n✅ 已付（${paid.length}）：${paid.length > 0 ? paid.join('、') : '無'}`;
+  msg += `\n⌛ 未付（${unpaid.length}）：${unpaid.length > 0 ? unpaid.join('、') : '無'}`;
+  return msg;
+}
+
+// --- 分隊排場 ---
+// 雙打分隊：每輪依上場次數決定休息名單，再從多組隨機排列中挑出重複搭檔最少（有設定程度時兩隊最平均）的組合
+const PAIRING_DEFAULT_ROUNDS = 4;
+const PAIRING_MAX_ROUNDS = 10;
+const PAIRING_ATTEMPTS = 200;
+
+// 可指定種子的亂數（mulberry32），同樣的種子會得到同樣的分隊結果
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWith(rng, arr) {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// 程度{A:3,B:2}（也接受 A=3）
+function parseLevels(raw) {
+  const levels = {};
+  String(raw || '').split(/[,，、\n]/).forEach(part => {
+    const m = part.trim().match(/^(.+?)\s*[:：=]\s*(\d+(?:\.\d+)?)$/);
+    if (m) levels[m[1].trim()] = parseFloat(m[2]);
+  });
+  return levels;
+}
+
+// 第一區段的正取名單；匿名占位符以 匿名1、匿名2 代替
+function pairingPlayers(g) {
+  let anon = 0;
+  return g.sections[0].list.slice(0, g.sections[0].limit)
+    .map(name => (name === '__ANON__' ? `匿名${++anon}` : name));
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function generatePairings(players, courts, rounds, { seed, levels = {} } = {}) {
+  const rng = createRng(seed);
+  const known = players.map(p => levels[p]).filter(v => typeof v === 'number');
+  const avgLevel = known.length > 0 ? known.reduce((a, b) => a + b, 0) / known.length : 0;
+  const levelOf = p => (typeof levels[p] === 'number' ? levels[p] : avgLevel);
+  const played = Object.fromEntries(players.map(p => [p, 0]));
+  const partners = {};
+  const opponents = {};
+  const courtCount = Math.min(courts, Math.floor(players.length / 4));
+  const result = [];
+
+  const splitCost = (t1, t2) => {
+    let cost = ((partners[pairKey(t1[0], t1[1])] || 0) + (partners[pairKey(t2[0], t2[1])] || 0)) * 10;
+    t1.forEach(a => t2.forEach(b => { cost += (opponents[pairKey(a, b)] || 0) * 2; }));
+    if (known.length > 0) {
+      cost += Math.abs(levelOf(t1[0]) + levelOf(t1[1]) - levelOf(t2[0]) - levelOf(t2[1])) * 3;
+    }
+    return cost;
+  };
+
+  for (let r = 0; r < rounds; r++) {
+    // 上場次數最少的優先上場，同次數時隨機，確保休息輪流
+    const order = shuffleWith(rng, players).sort((a, b) => played[a] - played[b]);
+    const playing = order.slice(0, courtCount * 4);
+    const resting = order.slice(courtCount * 4);
+    let best = null;
+    for (let attempt = 0; attempt < PAIRING_ATTEMPTS; attempt++) {
+      const shuffled = shuffleWith(rng, playing);
+      let total = 0;
+      const matches = [];
+      for (let c = 0; c < courtCount; c++) {
+        const [a, b, x, y] = shuffled.slice(c * 4, c * 4 + 4);
+        // 同一組四人有三種分法，取成本最低的
+        const options = [[[a, b], [x, y]], [[a, x], [b, y]], [[a, y], [b, x]]]
+          .map(([t1, t2]) => ({ t1, t2, cost: splitCost(t1, t2) }))
+          .sort((m, n) => m.cost - n.cost);
+        matches.push(options[0]);
+        total += options[0].cost;
+      }
+      if (!best || total < best.total) best = { total, matches };
+      if (total === 0) break;
+    }
+    best.matches.forEach(({ t1, t2 }) => {
+      partners[pairKey(t1[0], t1[1])] = (partners[pairKey(t1[0], t1[1])] || 0) + 1;
+      partners[pairKey(t2[0], t2[1])] = (partners[pairKey(t2[0], t2[1])] || 0) + 1;
+      t1.forEach(a => t2.forEach(b => { opponents[pairKey(a, b)] = (opponents[pairKey(a, b)] || 0) + 1; }));
+      t1.concat(t2).forEach(p => { played[p]++; });
+    });
+    result.push({ matches: best.matches.map(({ t1, t2 }) => [t1, t2]), resting });
+  }
+  return { rounds: result, played, courts: courtCount };
+}
+
+function describePairings(g, plan, seed) {
+  let msg = `🏸 ${g.title} 分隊（${plan.courts} 面場地，${plan.rounds.length} 輪）\n`;
+  plan.rounds.forEach((round, r) => {
+    msg += `\n【第 ${r + 1} 輪】`;
+    round.matches.forEach(([t1, t2], c) => {
+      msg += `\n場${c + 1}：${t1.join('、')} vs ${t2.join('、')}`;
+    });
+    if (round.resting.length > 0) msg += `\n休息：${round.resting.join('、')}`;
+    msg += '\n';
+  });
+  msg += `\n上場次數：${Object.entries(plan.played).map(([p, n]) => `${p} ${n}`).join('、')}`;
+  msg += `\n🎲 種子 ${seed}（名單與參數相同時，加上 種子{${seed}} 可重現同樣結果）`;
+  return msg;
+}
+
+// --- 現場輪場排隊 ---
+// g.courtQueue = { queue: [名字], courts: { 場地編號: { players: [名字], since } } }，隨接龍一起存入 games.json
+const COURT_PLAYERS = 4;
+
+// 依目前正取名單同步排隊：新報名的人排到隊尾，已取消的人移出隊伍（場上的人打完才移除）
+function syncCourtQueue(g) {
+  if (!g.courtQueue) g.courtQueue = { queue: [], courts: {} };
+  const state = g.courtQueue;
+  let anon = 0;
+  const roster = [];
+  g.sections.forEach(sec => sec.list.slice(0, sec.limit).forEach(name => {
+    const label = name === '__ANON__' ? `匿名${++anon}` : name;
+    if (!roster.includes(label)) roster.push(label);
+  }));
+  const onCourt = Object.values(state.courts).flatMap(c => c.players);
+  state.queue = state.queue.filter(name => roster.includes(name));
+  roster.forEach(name => {
+    if (!state.queue.includes(name) && !onCourt.includes(name)) state.queue.push(name);
+  });
+  return state;
+}
+
+// 把場上的人放回隊尾；回傳實際下場的名字
+function leaveCourt(state, names) {
+  const left = [];
+  Object.keys(state.courts).forEach(court => {
+    const c = state.courts[court];
+    c.players = c.players.filter(p => {
+      if (!names.includes(p)) return true;
+      left.push(p);
+      return false;
+    });
+    if (c.players.length === 0) delete state.courts[court];
+  });
+  left.forEach(p => { if (!state.queue.includes(p)) state.queue.push(p); });
+  return left;
+}
+
+function describeCourtQueue(g) {
+  const state = g.courtQueue;
+  const courts = Object.keys(state.courts).sort((a, b) => Number(a) - Number(b));
+  let msg = `🏸 ${g.title} 場地狀況\n`;
+  if (courts.length === 0) {
+    msg += '\n目前沒有場地在打';
+  } else {
+    courts.forEach(court => {
+      const { players, since } = state.courts[court];
+      const team = players.length === COURT_PLAYERS
+        ? `${players.slice(0, 2).join('、')} vs ${players.slice(2).join('、')}`
+        : players.join('、');
+      msg += `\n場${court}：${team}（${formatOpTime(since).split(' ')[1]} 開打）`;
+    });
+  }
+  msg += `\n\n⏳ 排隊（${state.queue.length}）：`;
+  msg += state.queue.length > 0 ? state.queue.map((name, i) => `\n${i + 1}. ${name}`).join('') : '無';
+  return msg;
+}
+
+// --- 比賽結果與積分（Elo） ---
+// ratings[群組ID] = { players: { 名字: { rating, games, wins, losses } }, matches: [...] }
+const RATING_INITIAL = 1500;
+const RATING_K = 32;
+const MATCH_HISTORY_LIMIT = 500;
+
+function ratingBook(chatId) {
+  if (!ratings[chatId]) ratings[chatId] = { players: {}, matches: [] };
+  return ratings[chatId];
+}
+
+function playerRating(chatId, name) {
+  const book = ratings[chatId];
+  const entry = book && book.players[name];
+  return entry ? entry.rating : RATING_INITIAL;
+}
+
+// 比分 A B 21:15 C D（也接受 21-15）
+function parseMatchResult(text) {
+  const m = text.match(/^比分\s+(\S+)\s+(\S+)\s+(\d+)\s*[:：-]\s*(\d+)\s+(\S+)\s+(\S+)$/);
+  if (!m) return null;
+  return { teamA: [m[1], m[2]], teamB: [m[5], m[6]], scoreA: parseInt(m[3], 10), scoreB: parseInt(m[4], 10) };
+}
+
+// 雙打以兩人平均積分計算勝率，同隊兩人加減相同分數
+async function recordMatch(chatId, result, uid) {
+  const book = ratingBook(chatId);
+  const avg = team => team.reduce((sum, name) => sum + playerRating(chatId, name), 0) / team.length;
+  const ratingA = avg(result.teamA);
+  const ratingB = avg(result.teamB);
+  const expectedA = 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  const actualA = result.scoreA > result.scoreB ? 1 : 0;
+  const delta = Math.round(RATING_K * (actualA - expectedA));
+  const apply = (team, change, won) => team.forEach(name => {
+    const entry = book.players[name] || { rating: RATING_INITIAL, games: 0, wins: 0, losses: 0 };
+    entry.rating += change;
+    entry.games += 1;
+    if (won) entry.wins += 1;
+    else entry.losses += 1;
+    entry.updated = Date.now();
+    book.players[name] = entry;
+  });
+  apply(result.teamA, delta, actualA === 1);
+  apply(result.teamB, -delta, actualA === 0);
+  const match = { time: Date.now(), uid: uid || null, ...result, delta };
+  book.matches.push(match);
+  if (book.matches.length > MATCH_HISTORY_LIMIT) {
+    book.matches.splice(0, book.matches.length - MATCH_HISTORY_LIMIT);
+  }
+  await saveCollection('ratings', ratings);
+  logToFile(`[SUCCESS] Match recorded for ${chatId}: ${result.teamA.join('/')} ${result.scoreA}:${result.scoreB} ${result.teamB.join('/')}`);
+  return match;
+}
+
+function describePlayerRating(chatId, name) {
+  const book = ratings[chatId];
+  const entry = book && book.players[name];
+  if (!entry) return null;
+  const rank = Object.values(book.players).filter(p => p.rating > entry.rating).length + 1;
+  const winRate = entry.games > 0 ? Math.round(entry.wins / entry.games * 100) : 0;
+  let msg = `📈 ${name} 的積分\n\n`;
+  msg += `積分：${entry.rating}（第 ${rank} 名）\n`;
+  msg += `戰績：${entry.wins} 勝 ${entry.losses} 敗（勝率 ${winRate}%）`;
+  const recent = book.matches.filter(m => m.teamA.includes(name) || m.teamB.includes(name)).slice(-5).reverse();
+  if (recent.length > 0) {
+    msg += '\n\n最近比賽：';
+    recent.forEach(m => {
+      const onA = m.teamA.includes(name);
+      const change = onA ? m.delta : -m.delta;
+      const partner = (onA ? m.teamA : m.teamB).filter(n => n !== name).join('、');
+      const rivals = (onA ? m.teamB : m.teamA).join('、');
+      const score = onA ? `${m.scoreA}:${m.scoreB}` : `${m.scoreB}:${m.scoreA}`;
+      msg += `\n${formatOpTime(m.time)} 搭 ${partner} vs ${rivals} ${score}（${change >= 0 ? '+' : ''}${change}）`;
+    });
+  }
+  return msg;
+}
+
+// --- 簽到與缺席紀錄 ---
+// g.checkins = { 名字: { uid, by, time } }；接龍結束時未簽到的正取記為缺席，存入出席紀錄
+const CHECKIN_BEFORE_MS = (parseInt(process.env.CHECKIN_WINDOW_BEFORE_MINUTES || '60', 10) || 60) * 60 * 1000;
+const CHECKIN_AFTER_MS = (parseInt(process.env.CHECKIN_WINDOW_AFTER_MINUTES || '180', 10) || 180) * 60 * 1000;
+const ATTENDANCE_HISTORY_LIMIT = 20;
+
+async function saveAttendance() {
+  await saveCollection('attendance', attendance);
+}
+
+// 簽到時段：開打前後一段時間；沒有設定開打時間時不限制
+function isCheckinOpen(g, now = Date.now()) {
+  if (!g.playTime) return true;
+  const playTime = Number(g.playTime);
+  return now >= playTime - CHECKIN_BEFORE_MS && now <= playTime + CHECKIN_AFTER_MS;
+}
+
+// 場次結束時記錄出席/缺席；整場沒人簽到視為沒有使用簽到功能，不記錄
+async function finalizeAttendance(gid) {
+  const g = games[gid];
+  if (!g || g.attendanceRecorded) return false;
+  const checkins = g.checkins || {};
+  if (Object.keys(checkins).length === 0) return false;
+  g.attendanceRecorded = true;
+  const chatId = groupIdOf(gid);
+  if (!attendance[chatId]) attendance[chatId] = {};
+  const book = attendance[chatId];
+  const sessionTime = Number(g.playTime) || Date.now();
+  const { names } = confirmedAttendees(g);
+  names.forEach(name => {
+    const entry = book[name] || { uid: null, attended: 0, noShows: 0, lastNoShow: null, history: [] };
+    const checkin = checkins[name];
+    const ownerUid = findOwnerUid(gid, name);
+    if (checkin) {
+      entry.attended += 1;
+    } else {
+      entry.noShows += 1;
+      entry.lastNoShow = sessionTime;
     }
+    // 舊的簽到紀錄沒有 by，uid 可能是代簽的管理者，改用報名擁有者
+    const checkinUid = checkin && checkin.by !== undefined ? checkin.uid : null;
+    entry.uid = checkinUid || ownerUid || entry.uid;
+    entry.history.push({ time: sessionTime, title: g.title, status: checkin ? 'attended' : 'noShow' });
+    if (entry.history.length > ATTENDANCE_HISTORY_LIMIT) {
+      entry.history.splice(0, entry.history.length - ATTENDANCE_HISTORY_LIMIT);
+    }
+    book[name] = entry;
+  });
+  await saveAttendance();
+  logToFile(`[SUCCESS] Attendance recorded for ${gid}: ${Object.keys(checkins).length}/${names.length} checked in`);
+  return true;
+}
 
-    // 8. 排程檢查 (調試用)
-    if (text === '排程檢查') {
-      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
-      const gids = Object.keys(games);
-      let msg = `📋 目前有 ${gids.length} 筆接龍資料\n`;
-      const now = Date.now();
-      for (const gid of gids) {
-        const g = games[gid];
-        if (g.scheduleTime) {
-          const sched = Number(g.scheduleTime);
-          const diff = sched - now;
-          msg += `\n${g.title || '未命名'} (${gid})\n`;
-          msg += `排程時間: ${new Date(sched).toString()}\n`;
-          msg += `距離現在: ${diff}ms (${(diff / 1000 / 60).toFixed(1)} 分鐘)\n`;
-          msg += `active: ${g.active}\n`;
-        }
+// --- 場次封存與出席統計 ---
+// sessionHistory[群組ID] = [{ time, endedAt, title, shortId, reason, usedCheckin, roster, anonymous, cancellations }]
+const SESSION_HISTORY_LIMIT = 200;
+
+// 取消報名時記下是誰取消（匿名不計），場次結束時一併封存
+function recordCancellations(gid, op) {
+  const g = games[gid];
+  if (!g || !op) return;
+  if (!g.cancellations) g.cancellations = [];
+  op.changes
+    .filter(c => c.type === 'remove' && c.name !== '__ANON__')
+    .forEach(c => g.cancellations.push({ name: c.name, uid: op.uid, time: op.time, seq: op.seq }));
+}
+
+// 場次結束時封存名單；同名出現在多個區段時以正取為準
+async function archiveSession(gid, reason) {
+  const g = games[gid];
+  if (!g || g.archived) return false;
+  const checkins = g.checkins || {};
+  const roster = [];
+  let anonymous = 0;
+  g.sections.forEach(sec => {
+    sec.list.forEach((name, pos) => {
+      const status = pos < sec.limit ? 'confirmed' : 'waitlist';
+      if (name === '__ANON__') {
+        if (status === 'confirmed') anonymous++;
+        return;
+      }
+      const existing = roster.find(r => r.name === name);
+      if (existing) {
+        if (status === 'confirmed') existing.status = status;
+        return;
       }
-      if (msg === `📋 目前有 ${gids.length} 筆接龍資料\n`) msg += '\n無排程設定';
-      return await client.replyMessage(event.replyToken, { type: 'text', text: msg.trim() });
+      roster.push({ name, status, checkedIn: !!checkins[name] });
+    });
+  });
+  const cancellations = (g.cancellations || []).map(({ name, uid, time }) => ({ name, uid, time }));
+  if (roster.length === 0 && anonymous === 0 && cancellations.length === 0) return false;
+  g.archived = true;
+  const chatId = groupIdOf(gid);
+  if (!sessionHistory[chatId]) sessionHistory[chatId] = [];
+  const sessions = sessionHistory[chatId];
+  const session = {
+    time: Number(g.playTime) || Date.now(),
+    endedAt: Date.now(),
+    title: g.title,
+    shortId: shortIdOf(gid),
+    reason,
+    usedCheckin: Object.keys(checkins).length > 0,
+    roster,
+    anonymous,
+    cancellations
+  };
+  sessions.push(session);
+  if (sessions.length > SESSION_HISTORY_LIMIT) {
+    sessions.splice(0, sessions.length - SESSION_HISTORY_LIMIT);
+  }
+  try {
+    await storage.archiveSession(chatId, session, sessionHistory);
+  } catch (e) {
+    console.error('❌ 儲存場次封存失敗:', e);
+    logToFile(`[ERROR] Failed to archive session for ${gid}: ${e.message}`);
+  }
+  logToFile(`[SUCCESS] Session archived for ${gid} (${reason}): ${roster.length} names`);
+  return true;
+}
+
+// 有使用簽到的場次以簽到為準，否則正取即視為出席
+function hasAttended(session, entry) {
+  return entry.status === 'confirmed' && (!session.usedCheckin || entry.checkedIn);
+}
+
+function sessionsInMonth(chatId, year, month) {
+  return (sessionHistory[chatId] || []).filter(s => {
+    const d = new Date(s.time);
+    return d.getFullYear() === year && d.getMonth() + 1 === month;
+  });
+}
+
+function describePlayerStats(chatId, name) {
+  const sessions = sessionHistory[chatId] || [];
+  const now = new Date();
+  let attended = 0;
+  let waitlisted = 0;
+  let cancelled = 0;
+  let monthAttended = 0;
+  const recent = [];
+  sessions.forEach(s => {
+    const entry = s.roster.find(r => r.name === name);
+    cancelled += s.cancellations.filter(c => c.name === name).length;
+    if (!entry) return;
+    const d = new Date(s.time);
+    if (hasAttended(s, entry)) {
+      attended++;
+      if (d.getFullYear() === now.getFullYear() && d.getMonth() === now.getMonth()) monthAttended++;
+    } else if (entry.status === 'waitlist') {
+      waitlisted++;
     }
+    recent.push({ s, entry });
+  });
+  if (attended === 0 && waitlisted === 0 && cancelled === 0 && recent.length === 0) return null;
+  let msg = `📊 ${name} 的出席統計\n\n`;
+  msg += `出席：${attended} 場（本月 ${monthAttended} 場）\n`;
+  msg += `候補未上：${waitlisted} 場\n`;
+  msg += `取消報名：${cancelled} 次`;
+  if (recent.length > 0) {
+    msg += '\n\n最近場次：';
+    recent.slice(-5).reverse().forEach(({ s, entry }) => {
+      const mark = hasAttended(s, entry) ? '✅' : entry.status === 'waitlist' ? '⏳ 候補' : '🚫 缺席';
+      msg += `\n${formatPlayTime(s.time)} ${s.title} ${mark}`;
+    });
+  }
+  return msg;
+}
 
-    // 9. 測試推播
-    if (text === '測試推播') {
-      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
-      try {
-        await client.pushMessage(gid, { type: 'text', text: '✅ 測試推播成功！' });
-        logToFile(`[TEST] Push message succeeded for ${gid}`);
-        return await client.replyMessage(event.replyToken, { type: 'text', text: '✅ 推播測試成功！群組應已收到訊息' });
-      } catch (e) {
-        logToFile(`[TEST] Push message failed for ${gid}: ${e.message}`);
-        return await client.replyMessage(event.replyToken, { type: 'text', text: `❌ 推播失敗: ${e.message}` });
-      }
+// --- 多接龍（同群組同時進行多個接龍） ---
+// games 的 key：第 1 個接龍沿用群組 ID（相容舊資料），第 N 個為 `${群組ID}#N`
+const LIST_MESSAGE_MEMORY = 20;
+
+function groupIdOf(key) {
+  if (!key) return key;
+  return (games[key] && games[key].groupId) || String(key).split('#')[0];
+}
+
+function shortIdOf(key) {
+  if (games[key] && games[key].shortId) return games[key].shortId;
+  return parseInt(String(key).split('#')[1], 10) || 1;
+}
+
+function gameKeyFor(chatId, shortId) {
+  return shortId === 1 ? chatId : `${chatId}#${shortId}`;
+}
+
+// 同群組目前所有接龍的 key，依編號排序
+function listGroupGames(chatId) {
+  return Object.keys(games)
+    .filter(key => games[key] && groupIdOf(key) === chatId)
+    .sort((a, b) => shortIdOf(a) - shortIdOf(b));
+}
+
+function nextFreeGameKey(chatId) {
+  let n = 1;
+  while (games[gameKeyFor(chatId, n)]) n++;
+  return gameKeyFor(chatId, n);
+}
+
+// 解析指令第一行（大括號外）的 #編號 / #標題 / #新，並移除該標記
+// 沒有標記時：回覆（引用）某份名單訊息則操作該接龍，否則群組只有一個接龍時直接使用
+function resolveTargetGame(chatId, text, quotedMessageId = null) {
+  const firstLine = text.split('\n')[0].replace(/[{\uff5b][^}\uff5d]*[}\uff5d]/g, '');
+  const tokenMatch = firstLine.match(/(^|\s)#(\S+)/);
+  const stripToken = () => text.replace(tokenMatch[0], tokenMatch[1]).replace(/[ \t]+$/gm, '').trim();
+  if (tokenMatch) {
+    const token = tokenMatch[2];
+    if (/^\d+$/.test(token)) {
+      const key = gameKeyFor(chatId, parseInt(token, 10));
+      return { key, text: stripToken(), missing: games[key] ? null : token };
+    }
+    if (token === '新') {
+      return { key: nextFreeGameKey(chatId), text: stripToken() };
     }
+    const byTitle = listGroupGames(chatId).find(key => games[key].title === token);
+    if (byTitle) {
+      return { key: byTitle, text: stripToken() };
+    }
+  }
+  if (quotedMessageId) {
+    const quoted = listGroupGames(chatId).find(key => (games[key].listMessageIds || []).includes(quotedMessageId));
+    if (quoted) return { key: quoted, text };
+  }
+  const keys = listGroupGames(chatId);
+  if (keys.length > 1) return { key: null, text, ambiguous: true };
+  return { key: keys[0] || chatId, text };
+}
 
-    // 10. 強制檢查排程
-    if (text === '強制檢查排程') {
-      if (!adminUsers.has(uid)) return null; // 未登入則忽略指令
-      logToFile(`[FORCE] Manual schedule check triggered`);
-      await checkSchedules();
-      return await client.replyMessage(event.replyToken, { type: 'text', text: '✅ 已執行排程檢查，請查看日誌' });
+// 記住送出的名單訊息 ID，之後有人回覆（引用）該訊息就能對應到這個接龍
+function rememberListMessage(gid, res) {
+  const g = games[gid];
+  const ids = ((res && res.sentMessages) || []).map(m => m.id).filter(Boolean);
+  if (!g || ids.length === 0) return;
+  g.listMessageIds = ids.concat(g.listMessageIds || []).slice(0, LIST_MESSAGE_MEMORY);
+  saveGame(gid).catch(console.error);
+}
+
+function describeGroupGames(chatId, heading = '📋 進行中的接龍') {
+  const keys = listGroupGames(chatId);
+  if (keys.length === 0) return 'ℹ️ 目前沒有進行中的接龍';
+  let msg = `${heading}（${keys.length}）\n`;
+  keys.forEach(key => {
+    const g = games[key];
+    const registered = g.sections.reduce((sum, sec) => sum + sec.list.length, 0);
+    const limit = g.sections.reduce((sum, sec) => sum + (sec.limit || 0), 0);
+    msg += `\n#${shortIdOf(key)} ${g.title} ${registered}/${limit}`;
+    if (g.playTime) msg += ` 🏸 ${formatPlayTime(g.playTime)}`;
+  });
+  msg += '\n\n指定接龍：+1 #2、-1 #2、接龍名單 #2，或直接回覆該接龍的名單訊息';
+  msg += '\n開新接龍：接龍開始 #新';
+  return msg;
+}
+
+// --- 工具函式 ---
+// 讀取跨場次保存的 JSON 檔（出席紀錄、場次封存），不存在或損毀時回傳空物件
+function readJsonFile(file, label) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8') || '{}') || {};
     }
+  } catch (e) {
+    console.error(`從檔案載入${label}失敗:`, e);
+  }
+  return {};
+}
+
+// 先寫入暫存檔並同步到磁碟，再改名取代原檔；寫到一半當機也不會留下不完整的檔案
+let atomicWriteSeq = 0;
+async function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.${++atomicWriteSeq}.tmp`;
+  const handle = await fs.promises.open(tmp, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmp, file);
+}
 
+async function writeJsonFile(file, data, label) {
+  try {
+    await writeFileAtomic(file, JSON.stringify(data, null, 2));
   } catch (e) {
-    console.error('Logic Error:', e);
+    console.error(`❌ 儲存${label}失敗:`, e);
+    logToFile(`[ERROR] Failed to save ${path.basename(file)}: ${e.message}`);
   }
 }
 
-// --- 工具函式 ---
-async function getName(gid, uid) {
+// 解析 YYYY/MM/DD HH:mm（視為台灣時間）為 timestamp，失敗回傳 null
+function parseTaipeiTime(raw) {
+  console.log(`Parsing time string: "${raw}"`);
+  // 嘗試解析 YYYY/MM/DD HH:mm 或 YYYY-MM-DD HH:mm 格式
+  const dateTimeMatch = raw.match(/(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})\s+(\d{1,2}):(\d{2})/);
+  if (dateTimeMatch) {
+    const [, year, month, day, hours, minutes] = dateTimeMatch;
+    const dateObj = new Date(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes), 0);
+    // 將輸入視為台灣時間 (UTC+8)，轉換為 UTC timestamp
+    const TAIPEI_OFFSET_HOURS = 8;
+    const utcMillisForInput = Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes));
+    const ts = utcMillisForInput - (TAIPEI_OFFSET_HOURS * 60 * 60 * 1000);
+    console.log(`Parsed as Taipei local ${dateObj.toString()} -> UTC ${new Date(ts).toUTCString()} (timestamp: ${ts})`);
+    return ts;
+  }
+  // 備用：嘗試 Date.parse
+  let ts = Date.parse(raw);
+  if (isNaN(ts)) {
+    const alt = raw.replace(/-/g, '/');
+    ts = Date.parse(alt);
+  }
+  console.log(`Fallback Date.parse result: ${ts}`);
+  return isNaN(ts) ? null : ts;
+}
+
+// 報名是否已截止（排程尚未執行前，時間到也視為截止）
+function isRegistrationLocked(g) {
+  if (!g) return false;
+  if (g.locked) return true;
+  return !!(g.deadline && Number(g.deadline) <= Date.now());
+}
+
+async function getName(gameKey, uid) {
+  // 同群組的多個接龍共用快取；API 需要真正的群組 ID
+  const gid = groupIdOf(gameKey);
   // 使用快取減少 API 呼叫以節省額度
   const cacheKey = `${gid}_${uid}`;
   const now = Date.now();
@@ -1599,16 +4772,85 @@ async function getName(gid, uid) {
   }
 }
 
+// --- 多區段 ---
+// 依「@標籤」「@區段標題」「@第幾段」找出區段索引，找不到回傳 -1
+function findSectionIdx(g, token) {
+  const key = String(token).trim().toLowerCase();
+  const byLabel = g.sections.findIndex(sec => sec.label && sec.label.toLowerCase() === key);
+  if (byLabel > -1) return byLabel;
+  const byTitle = g.sections.findIndex(sec => sec.title && sec.title.toLowerCase() === key);
+  if (byTitle > -1) return byTitle;
+  if (/^\d+$/.test(key)) {
+    const n = parseInt(key, 10);
+    if (n >= 1 && n <= g.sections.length) return n - 1;
+  }
+  return -1;
+}
+
+// 從 +N / -N / 接龍名單 的內容取出 @區段 標記，回傳 { content, idx }；沒有標記時 idx 為 null
+function extractSectionToken(g, content) {
+  const match = String(content || '').match(/(^|\s)[@＠](\S+)/);
+  if (!match) return { content: content || '', idx: null };
+  const idx = findSectionIdx(g, match[2]);
+  if (idx < 0) {
+    const options = g.sections.map((sec, i) => `@${sec.label || i + 1} ${sec.title}`).join('\n');
+    return { error: `❌ 找不到區段「${match[2]}」，可以使用：\n${options}` };
+  }
+  return { content: content.replace(match[0], match[1]).replace(/\s+/g, ' ').trim(), idx };
+}
+
+// 報名/取消前的共同檢查（聊天指令與 API 共用）；silent 表示聊天室中維持不回覆
+function checkRegistrationOpen(gid, uid) {
+  const g = games[gid];
+  if (!g) return { status: 404, message: '❌ 找不到接龍', silent: true };
+  if (!g.active) return { status: 409, message: '❌ 接龍已結束', silent: true };
+  if (g.scheduleTime && Number(g.scheduleTime) > Date.now()) {
+    return { status: 409, message: `⏰ 尚未開放報名（${formatPlayTime(Number(g.scheduleTime))} 開放）`, silent: true };
+  }
+  // 報名截止後只有管理者可以異動名單
+  if (isRegistrationLocked(g) && !isGameAdmin(gid, uid)) {
+    return { status: 423, message: '🔒 報名已截止，如需異動請聯絡主辦或管理員' };
+  }
+  return null;
+}
+
+// 「匿名」轉為 count 個匿名占位符，其餘以空白或逗號分隔
+function parseRegistrationNames(content, count = 1) {
+  if (/匿名/.test(content)) return Array(count).fill('__ANON__');
+  return content.split(/[\s,]+/).filter(n => n);
+}
+
+// 匿名占位符允許重複，實名不可與名單或彼此重複
+function hasDuplicateNames(currentList, names) {
+  const realNames = names.filter(n => n !== '__ANON__');
+  return realNames.some(n => currentList.includes(n)) || new Set(realNames).size !== realNames.length;
+}
+
+// 一次報名的人數上限，與聊天指令 +1 到 +9 相同
+const MAX_REGISTRATION_NAMES = 9;
+
+// 檢查一次報名的名字（聊天指令與 API 共用）：回傳 null 表示可以報名，否則 { status, message }
+function checkRegistrationNames(currentList, names) {
+  if (names.length > MAX_REGISTRATION_NAMES) {
+    return { status: 400, message: `❌ 一次最多報名 ${MAX_REGISTRATION_NAMES} 人` };
+  }
+  if (hasDuplicateNames(currentList, names)) return { status: 409, message: '名單已重複' };
+  return null;
+}
+
 function addToList(gid, idx, name, meta = {}, waitForCsv = false) {
-  if (!games[gid].sections[idx]) return null;
+  const section = games[gid].sections[idx];
+  if (!section) return null;
   // 匿名占位符允許重複出現
   if (name === '__ANON__') {
-    games[gid].sections[idx].list.push(name);
+    section.list.push(name);
+    recordOwner(section, name, meta.uid);
     // 不記錄到 CSV（只保存名單快照）
     return null;
   }
-  if (!games[gid].sections[idx].list.includes(name)) {
-    games[gid].sections[idx].list.push(name);
+  if (!section.list.includes(name)) {
+    section.list.push(name);
+    recordOwner(section, name, meta.uid);
     // 不記錄到 CSV（只保存名單快照）
     return null;
   }
@@ -1617,33 +4859,342 @@ function addToList(gid, idx, name, meta = {}, waitForCsv = false) {
 
 async function removeFromList(gid, name, meta = {}, waitForCsv = false) {
   games[gid].sections.forEach((s, idx) => {
+    // 指定 meta.sectionIdx 時只處理該區段
+    if (meta.sectionIdx !== undefined && meta.sectionIdx !== null && meta.sectionIdx !== idx) return;
     const i = s.list.indexOf(name);
     if (i > -1) {
       s.list.splice(i, 1);
+      dropOwner(s, name);
     }
   });
   // 注意：不刪除映射，因為用戶可能會再次報名，保留映射可以減少 API 呼叫
   // 不記錄到 CSV（只保存名單快照）
 }
 
+// 移除最後一個匿名占位符；指定 meta.ownerUid 時只移除該 UID 登記的匿名，meta.sectionIdx 指定區段（預設第一段）
 async function removeAnon(gid, meta = {}, waitForCsv = false) {
-  const s = games[gid].sections[0];
-  if (!s) return;
+  const s = games[gid].sections[meta.sectionIdx ?? 0];
+  if (!s) return false;
+  if (meta.ownerUid) {
+    const owned = (s.owners || []).some(o => o.name === '__ANON__' && o.uid === meta.ownerUid);
+    if (!owned) return false;
+  }
   for (let i = s.list.length - 1; i >= 0; i--) {
     if (s.list[i] === '__ANON__') {
       s.list.splice(i, 1);
+      dropOwner(s, '__ANON__', meta.ownerUid);
       // 不記錄到 CSV（只保存名單快照）
+      return true;
+    }
+  }
+  return false;
+}
+
+// --- 報名擁有者 ---
+// section.owners 記錄每筆報名是由哪個 UID 登記（含代報名與匿名占位符）
+function recordOwner(section, name, uid) {
+  if (!section.owners) section.owners = [];
+  section.owners.push({ name, uid: uid || null, time: Date.now() });
+}
+
+// 移除一筆擁有者紀錄；匿名占位符會優先移除指定 UID 最後登記的那一筆
+function dropOwner(section, name, uid = null) {
+  if (!section.owners) return;
+  let i = -1;
+  for (let j = section.owners.length - 1; j >= 0; j--) {
+    const o = section.owners[j];
+    if (o.name !== name) continue;
+    if (!uid || o.uid === uid) { i = j; break; }
+    if (i < 0) i = j;
+  }
+  if (i > -1) section.owners.splice(i, 1);
+}
+
+function findOwnerUid(gid, name) {
+  const g = games[gid];
+  if (!g) return null;
+  for (const sec of g.sections) {
+    const owner = (sec.owners || []).find(o => o.name === name);
+    if (owner) return owner.uid;
+  }
+  return null;
+}
+
+// 名單整批替換時（接龍修改 名單{}），保留原本仍在名單中的擁有者，新名字歸給修改者
+function rebuildOwners(section, uid) {
+  const prev = section.owners || [];
+  const anonOwners = prev.filter(o => o.name === '__ANON__');
+  section.owners = [];
+  section.list.forEach(name => {
+    if (name === '__ANON__') {
+      const kept = anonOwners.shift();
+      section.owners.push(kept || { name, uid: uid || null, time: Date.now() });
       return;
     }
+    const kept = prev.find(o => o.name === name);
+    section.owners.push(kept || { name, uid: uid || null, time: Date.now() });
+  });
+}
+
+// 接龍管理者：已登入的管理員，或建立這個接龍的人
+function isGameAdmin(gid, uid) {
+  if (!uid) return false;
+  if (adminUsers.has(uid)) return true;
+  return !!(games[gid] && games[gid].creatorUid && games[gid].creatorUid === uid);
+}
+
+// 是否可以取消或標記付款這個名字：管理者、登記這筆報名的人，或顯示名稱與報名名字相同的本人
+function canManageName(gid, name, uid, selfName = null) {
+  if (isGameAdmin(gid, uid)) return true;
+  // 本人（顯示名稱相同）一定可以取消，即使是由別人代報
+  if (selfName && selfName === name) return true;
+  return findOwnerUid(gid, name) === uid;
+}
+
+// --- 操作紀錄與復原 ---
+// 每個群組的接龍保留最近的異動紀錄（存於 games[gid].opLog，隨 games.json 一起保存）
+// 每筆紀錄含異動前的名單與設定，供「接龍復原」使用
+const OP_LOG_LIMIT = 30;
+
+// 付款、簽到、已發提醒、報名鎖定與名單訊息是場上狀態，不隨名單異動復原（復原取消不會把已付款改回未付）
+const LIVE_STATE_FIELDS = ['paid', 'checkins', 'remindersFired', 'locked', 'listMessageIds'];
+
+// 異動前的狀態快照（不含紀錄本身，避免越存越大）
+// withLiveState：整個接龍被取代時（覆蓋接龍、還原備份）連同場上狀態一起保存，復原時才能完整救回
+function snapshotGame(gid, withLiveState = false) {
+  const g = games[gid];
+  if (!g) return null;
+  // 現場排隊不屬於名單異動，復原時保留目前場上狀況
+  const { opLog, opSeq, courtQueue, ...state } = g;
+  if (!withLiveState) LIVE_STATE_FIELDS.forEach(field => delete state[field]);
+  return JSON.parse(JSON.stringify(state));
+}
+
+// 比對快照與目前名單，整理出新增/移除的名字（匿名占位符依擁有者逐筆比對）
+function diffSnapshot(before, gid) {
+  const g = games[gid];
+  const changes = [];
+  if (!before || !g) return changes;
+  g.sections.forEach((sec, sectionIdx) => {
+    const prev = (before.sections || [])[sectionIdx] || { list: [], owners: [] };
+    const prevOwners = prev.owners || [];
+    prev.list.forEach((name, index) => {
+      if (name === '__ANON__' || sec.list.includes(name)) return;
+      const owner = prevOwners.find(o => o.name === name);
+      changes.push({ type: 'remove', sectionIdx, name, index, ownerUid: owner ? owner.uid : null });
+    });
+    sec.list.forEach(name => {
+      if (name === '__ANON__' || prev.list.includes(name)) return;
+      changes.push({ type: 'add', sectionIdx, name });
+    });
+    const prevAnon = prev.list.filter(n => n === '__ANON__').length;
+    const curAnon = sec.list.filter(n => n === '__ANON__').length;
+    if (curAnon > prevAnon) {
+      for (let i = prevAnon; i < curAnon; i++) changes.push({ type: 'add', sectionIdx, name: '__ANON__' });
+    } else if (curAnon < prevAnon) {
+      const remaining = (sec.owners || []).filter(o => o.name === '__ANON__').map(o => o.uid);
+      prevOwners.filter(o => o.name === '__ANON__').forEach(o => {
+        const i = remaining.indexOf(o.uid);
+        if (i > -1) remaining.splice(i, 1);
+        else changes.push({ type: 'remove', sectionIdx, name: '__ANON__', index: prev.list.lastIndexOf('__ANON__'), ownerUid: o.uid });
+      });
+    }
+  });
+  return changes;
+}
+
+// 記錄一筆異動；名單沒變且沒有說明時（例如取消不存在的名字）不記錄
+function recordOperation(gid, uid, action, before, detail = '') {
+  const g = games[gid];
+  if (!g) return null;
+  const changes = diffSnapshot(before, gid);
+  if (changes.length === 0 && !detail) return null;
+  if (!g.opLog) g.opLog = [];
+  g.opSeq = (g.opSeq || 0) + 1;
+  const op = { seq: g.opSeq, time: Date.now(), uid: uid || null, action, detail, changes, before };
+  g.opLog.push(op);
+  if (g.opLog.length > OP_LOG_LIMIT) {
+    g.opLog.splice(0, g.opLog.length - OP_LOG_LIMIT);
+  }
+  return op;
+}
+
+function describeOperation(op) {
+  const names = op.changes
+    .map(c => `${c.type === 'add' ? '+' : '-'}${c.name === '__ANON__' ? '匿名' : c.name}`);
+  const parts = [op.action];
+  if (op.detail) parts.push(op.detail);
+  if (names.length > 0 && op.action !== '復原') {
+    parts.push(names.length > 6 ? `${names.slice(0, 6).join(' ')} 等 ${names.length} 筆` : names.join(' '));
+  }
+  return parts.join(' ');
+}
+
+// 只有名單增減的操作可以在之後還有其他異動時單獨反向套用
+const INVERTIBLE_ACTIONS = ['報名', '取消', '接龍名單'];
+
+// 找出要復原的紀錄：onlyUid 有值時只找該 UID 的最後一筆
+function findUndoTarget(g, onlyUid = null) {
+  const log = g.opLog || [];
+  for (let i = log.length - 1; i >= 0; i--) {
+    const op = log[i];
+    if (op.undone || op.action === '復原') continue;
+    if (onlyUid && op.uid !== onlyUid) continue;
+    return op;
+  }
+  return null;
+}
+
+// 目標之後的紀錄都已被復原（或是復原目標之後紀錄的復原操作）時，可以直接還原快照
+function isLatestEffective(g, target) {
+  const later = (g.opLog || []).filter(op => op.seq > target.seq);
+  return later.every(op => op.undone || (op.action === '復原' && op.revertsSeq > target.seq));
+}
+
+// 反向套用名單增減：移除當時新增的名字，把當時移除的名字放回原位置
+function invertChanges(gid, changes) {
+  const g = games[gid];
+  changes.slice().reverse().forEach(c => {
+    const sec = g.sections[c.sectionIdx];
+    if (!sec) return;
+    if (c.type === 'add') {
+      const i = sec.list.lastIndexOf(c.name);
+      if (i > -1) {
+        sec.list.splice(i, 1);
+        dropOwner(sec, c.name);
+      }
+    } else {
+      if (c.name !== '__ANON__' && g.sections.some(s => s.list.includes(c.name))) return;
+      sec.list.splice(Math.min(c.index, sec.list.length), 0, c.name);
+      recordOwner(sec, c.name, c.ownerUid);
+    }
+  });
+}
+
+// 執行復原，回傳 { op } 或 { error }
+function undoOperation(gid, uid, onlyOwn) {
+  const g = games[gid];
+  const target = findUndoTarget(g, onlyOwn ? uid : null);
+  if (!target) {
+    return { error: onlyOwn ? '❌ 找不到你可以復原的操作' : '❌ 沒有可以復原的操作' };
+  }
+  if (!onlyOwn && target.uid !== uid && !isGameAdmin(gid, uid)) {
+    return { error: '❌ 最近一筆異動不是你做的，請使用「接龍復原 我」復原自己的操作' };
+  }
+  const before = snapshotGame(gid);
+  if (isLatestEffective(g, target)) {
+    const { opLog, opSeq, courtQueue } = g;
+    // 快照中沒有的場上狀態沿用目前的內容
+    const live = {};
+    LIVE_STATE_FIELDS.forEach((field) => {
+      if (field in g) live[field] = g[field];
+    });
+    games[gid] = Object.assign(live, JSON.parse(JSON.stringify(target.before)), { opLog, opSeq, courtQueue });
+  } else if (INVERTIBLE_ACTIONS.includes(target.action)) {
+    invertChanges(gid, target.changes);
+  } else {
+    return { error: `❌ 「${target.action}」之後已有其他異動，只能從最近一筆開始復原` };
   }
+  if (target.action === '取消' && games[gid].cancellations) {
+    games[gid].cancellations = games[gid].cancellations.filter(c => c.seq !== target.seq);
+  }
+  target.undone = true;
+  const op = recordOperation(gid, uid, '復原', before, describeOperation(target));
+  if (op) op.revertsSeq = target.seq;
+  return { op: target };
+}
+
+function formatOpTime(ts) {
+  const d = new Date(ts);
+  return `${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getDate().toString().padStart(2, '0')} ${d.getHours().toString().padStart(2, '0')}:${d.getMinutes().toString().padStart(2, '0')}`;
 }
 
-async function sendList(token, gid, prefix = "") {
+// --- 候補遞補偵測 ---
+// 在名單異動前記錄各區段狀態，異動後比對，找出從候補跨過 limit 成為正取的人
+function captureSections(gid) {
   const g = games[gid];
-  if (!g) return;
-  let msg = `${prefix}\n${g.title}\n`;
-  g.sections.forEach(sec => {
-    msg += `\n【${sec.title}】\n`;
+  if (!g) return [];
+  return g.sections.map(sec => ({ limit: sec.limit, list: sec.list.slice() }));
+}
+
+function findPromotions(gid, before) {
+  const g = games[gid];
+  if (!g) return [];
+  const promotions = [];
+  g.sections.forEach((sec, sectionIdx) => {
+    const prev = before[sectionIdx];
+    if (!prev) return;
+    sec.list.slice(0, sec.limit).forEach(name => {
+      // 匿名占位符無法通知，略過
+      if (name === '__ANON__') return;
+      const prevIdx = prev.list.indexOf(name);
+      // 之前就是正取，或是這次才新加入的，都不算遞補
+      if (prevIdx < prev.limit) return;
+      promotions.push({ sectionIdx, name, backupPos: prevIdx - prev.limit + 1 });
+    });
+  });
+  return promotions;
+}
+
+// 由名單名稱反查報名者 UID（用於 LINE mention）
+// 本人報名（擁有者的顯示名稱就是這個名字）時直接用擁有者 UID；代報名的名字才比對 LINE 顯示名稱快取
+function findUidByName(gid, name) {
+  const prefix = `${groupIdOf(gid)}_`;
+  const ownerUid = findOwnerUid(gid, name);
+  if (ownerUid) {
+    const cached = userNameCache.get(prefix + ownerUid);
+    if ((cached && cached.name === name) || uidToNameMap.get(prefix + ownerUid) === name) return ownerUid;
+  }
+  for (const [key, cached] of userNameCache.entries()) {
+    if (cached.name === name && key.startsWith(prefix)) {
+      return key.slice(prefix.length);
+    }
+  }
+  return null;
+}
+
+// 產生遞補通知訊息；有 UID 時使用 textV2 的 mention，否則使用純文字
+function buildPromotionMessage(gid, promotions) {
+  const g = games[gid];
+  if (!g || promotions.length === 0) return null;
+  const uids = promotions.map(p => findUidByName(gid, p.name));
+  const useMention = uids.some(u => u);
+  // textV2 中的大括號為替換語法，字面上的 { } 需要重複一次跳脫
+  const esc = (str) => useMention ? String(str).replace(/[{}]/g, ch => ch + ch) : String(str);
+  const substitution = {};
+  const lines = promotions.map((p, i) => {
+    const sec = g.sections[p.sectionIdx];
+    const sectionLabel = g.sections.length > 1 && sec ? `【${sec.title}】` : '';
+    let who = esc(p.name);
+    if (uids[i]) {
+      substitution[`user${i}`] = { type: 'mention', mentionee: { type: 'user', userId: uids[i] } };
+      who = `{user${i}}`;
+    }
+    return `📣 ${esc(sectionLabel)}候補${p.backupPos} ${who} 已遞補為正取`;
+  });
+  if (!useMention) return { type: 'text', text: lines.join('\n') };
+  return { type: 'textV2', text: lines.join('\n'), substitution };
+}
+
+// 同群組有多個接龍時，在標題後標示編號方便指定
+function gameTagOf(gid) {
+  return (listGroupGames(groupIdOf(gid)).length > 1 || shortIdOf(gid) > 1) ? ` #${shortIdOf(gid)}` : '';
+}
+
+function isAnonEntry(g, name) {
+  return name === '__ANON__' || (g.anonymous || []).includes(name);
+}
+
+function buildListText(gid, prefix = "") {
+  const g = games[gid];
+  const tag = gameTagOf(gid);
+  let msg = `${prefix}\n${g.title}${tag}\n`;
+  if (g.playTime) msg += `🏸 ${formatPlayTime(g.playTime)}\n`;
+  if (isRegistrationLocked(g)) msg += `🔒 報名已截止\n`;
+  else if (g.deadline) msg += `⏳ 截止：${formatPlayTime(g.deadline)}\n`;
+  g.sections.forEach((sec, sectionIdx) => {
+    // 多區段時提示報名該區段的寫法
+    msg += g.sections.length > 1 ? `\n【${sec.title}】+1@${sec.label || sectionIdx + 1}\n` : `\n【${sec.title}】\n`;
     for (let i = 0; i < sec.limit; i++) {
       if (i < sec.list.length) {
         const name = sec.list[i];
@@ -1651,7 +5202,8 @@ async function sendList(token, gid, prefix = "") {
         // 若當前與下一位皆為匿名，則隱藏當前行 (摺疊顯示)
         if (isAnon && ((sec.list[i + 1] === '__ANON__') || ((g.anonymous || []).includes && (g.anonymous || []).includes(sec.list[i + 1])))) continue;
         const displayName = isAnon ? '***' : name;
-        msg += `${sec.label}${i + 1}. ${displayName}\n`;
+        const paidMark = !isAnon && g.fees && g.paid && g.paid[name] ? ' 💰' : '';
+        msg += `${sec.label}${i + 1}. ${displayName}${paidMark}\n`;
       } else {
         if (i === sec.limit - 1) msg += `${sec.label}${i + 1}. \n`;
         else if (i === sec.list.length) msg += `..\n`;
@@ -1669,14 +5221,128 @@ async function sendList(token, gid, prefix = "") {
     }
   });
   if (g.note) msg += `\n📝 ${g.note}`;
-  
-  const message = { type: 'text', text: msg.trim() };
+  return msg.trim();
+}
+
+// --- Flex 名單 ---
+// 名單以 Flex Message 呈現並附上報名/取消按鈕；不支援 Flex 的裝置會看到 altText（文字版名單）
+const FLEX_LIST_ENABLED = (process.env.FLEX_LIST_ENABLED || 'true').toLowerCase() !== 'false';
+const FLEX_ALT_TEXT_LIMIT = 1500; // LINE altText 上限
+
+function flexText(text, extra = {}) {
+  return { type: 'text', text: String(text), wrap: true, size: 'sm', ...extra };
+}
+
+function flexNameRows(g, names, startIdx, prefixOf) {
+  const rows = [];
+  names.forEach((name, i) => {
+    // 連續匿名只顯示最後一個（與文字版相同的摺疊方式）
+    if (isAnonEntry(g, name) && names[i + 1] !== undefined && isAnonEntry(g, names[i + 1])) return;
+    const paid = !isAnonEntry(g, name) && g.fees && g.paid && g.paid[name] ? ' 💰' : '';
+    rows.push(flexText(`${prefixOf(startIdx + i)}${isAnonEntry(g, name) ? '***' : name}${paid}`));
+  });
+  return rows;
+}
+
+// 按鈕以 postback 觸發，由 handleEvent 轉成對應的 +1 / -1 指令
+function flexPostbackButton(label, data, displayText, style) {
+  return {
+    type: 'button',
+    style,
+    height: 'sm',
+    action: { type: 'postback', label, data, displayText }
+  };
+}
+
+function buildListFlex(gid, prefix = "", altText = "") {
+  const g = games[gid];
+  const tag = gameTagOf(gid);
+  const header = [];
+  if (prefix.trim()) header.push(flexText(prefix.trim(), { color: '#888888', size: 'xs' }));
+  header.push(flexText(`${g.title}${tag}`, { weight: 'bold', size: 'lg' }));
+  if (g.playTime) header.push(flexText(`🏸 ${formatPlayTime(g.playTime)}`));
+  if (g.scheduleTime && Number(g.scheduleTime) > Date.now()) header.push(flexText(`⏰ ${formatPlayTime(Number(g.scheduleTime))} 開放報名`));
+  const locked = isRegistrationLocked(g);
+  if (locked) header.push(flexText('🔒 報名已截止', { color: '#D9534F' }));
+  else if (g.deadline) header.push(flexText(`⏳ 截止：${formatPlayTime(g.deadline)}`));
+
+  const body = [];
+  const footer = [];
+  const multi = g.sections.length > 1;
+  g.sections.forEach((sec, sectionIdx) => {
+    if (sectionIdx > 0) body.push({ type: 'separator', margin: 'md' });
+    const confirmed = sec.list.slice(0, sec.limit);
+    const waitlist = sec.list.slice(sec.limit, sec.limit + sec.backupLimit);
+    body.push(flexText(`【${sec.title}】正取 ${confirmed.length}/${sec.limit}`, { weight: 'bold', margin: 'md' }));
+    const rows = flexNameRows(g, confirmed, 0, i => `${sec.label}${i + 1}. `);
+    body.push(...(rows.length > 0 ? rows : [flexText('（尚無報名）', { color: '#AAAAAA' })]));
+    if (waitlist.length > 0) {
+      body.push(flexText(`候補 ${waitlist.length}/${sec.backupLimit}`, { weight: 'bold', color: '#F0AD4E', margin: 'sm' }));
+      body.push(...flexNameRows(g, waitlist, 0, i => `候補${i + 1}. `));
+    }
+    if (!locked) {
+      const token = multi ? `@${sec.label || sectionIdx + 1}` : '';
+      const data = action => `action=${action}&game=${shortIdOf(gid)}&section=${sectionIdx + 1}`;
+      // 多區段時按鈕標示區段，避免按錯
+      const name = multi ? ` ${sec.label || sec.title}` : '';
+      footer.push({
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'sm',
+        contents: [
+          flexPostbackButton((multi ? `+1${name}` : '+1 報名').slice(0, 20), data('join'), `+1${token}${tag}`, 'primary'),
+          flexPostbackButton((multi ? `-1${name}` : '-1 取消').slice(0, 20), data('leave'), `-1${token}${tag}`, 'secondary')
+        ]
+      });
+    }
+  });
+  if (g.note) {
+    body.push({ type: 'separator', margin: 'md' });
+    body.push(flexText(`📝 ${g.note}`, { margin: 'md' }));
+  }
+
+  const bubble = {
+    type: 'bubble',
+    header: { type: 'box', layout: 'vertical', contents: header },
+    body: { type: 'box', layout: 'vertical', spacing: 'xs', contents: body }
+  };
+  if (footer.length > 0) {
+    bubble.footer = { type: 'box', layout: 'vertical', spacing: 'sm', contents: footer };
+  }
+  const alt = altText.length > FLEX_ALT_TEXT_LIMIT ? `${altText.slice(0, FLEX_ALT_TEXT_LIMIT - 1)}…` : altText;
+  return { type: 'flex', altText: alt || g.title, contents: bubble };
+}
+
+// 按鈕的 postback 資料轉成一般指令文字，之後與手動輸入的 +1 / -1 走同一套流程
+function postbackToCommand(data) {
+  const params = new URLSearchParams(data || '');
+  const command = { join: '+1', leave: '-1', list: '接龍名單' }[params.get('action')];
+  if (!command) return null;
+  const section = parseInt(params.get('section'), 10);
+  const game = parseInt(params.get('game'), 10);
+  let text = command;
+  if (section && command !== '接龍名單') text += `@${section}`;
+  if (game) text += ` #${game}`;
+  return text;
+}
+
+async function sendList(token, gid, prefix = "", extraMessages = []) {
+  const g = games[gid];
+  if (!g) return;
+  const chatId = groupIdOf(gid);
+  const text = buildListText(gid, prefix);
+  const message = FLEX_LIST_ENABLED ? buildListFlex(gid, prefix, text) : { type: 'text', text };
+  const messages = extraMessages.length > 0 ? [message, ...extraMessages] : message;
   if (token) {
-    return await client.replyMessage(token, message);
+    const res = await client.replyMessage(token, messages);
+    rememberListMessage(gid, res);
+    return res;
   }
   // 若無 token 則使用 Push Message (用於定時推播)
   try {
-    return await client.pushMessage(gid, message);
+    const res = await client.pushMessage(chatId, messages);
+    rememberListMessage(gid, res);
+    return res;
   } catch (e) {
     console.error(`pushMessage failed for ${gid}:`, e);
     throw e;
@@ -1688,12 +5354,16 @@ const AUTO_WAKE_ENABLED = (process.env.AUTO_WAKE_ENABLED || 'true').toLowerCase(
 const AUTO_WAKE_INTERVAL_MINUTES = Math.max(5, parseInt(process.env.AUTO_WAKE_INTERVAL_MINUTES || '10', 10) || 10);
 
 // 內部定時器：定期訪問自己的健康檢查端點以保持喚醒
+// 優先使用 RENDER_EXTERNAL_URL，如果沒有則嘗試其他環境變數或使用 localhost
+function publicBaseUrl() {
+  return process.env.RENDER_EXTERNAL_URL ||
+    process.env.APP_URL ||
+    process.env.URL ||
+    `http://localhost:${port}`;
+}
+
 async function pingSelf() {
-  // 優先使用 RENDER_EXTERNAL_URL，如果沒有則嘗試其他環境變數或使用 localhost
-  const baseUrl = process.env.RENDER_EXTERNAL_URL || 
-                  process.env.APP_URL || 
-                  process.env.URL || 
-                  `http://localhost:${port}`;
+  const baseUrl = publicBaseUrl();
   const healthUrl = `${baseUrl}/health`;
   
   try {
@@ -1746,51 +5416,67 @@ async function gracefulShutdown() {
   isShuttingDown = true;
   
   // 等待所有待寫入的資料
-  if (saveFileTimeout) {
-    clearTimeout(saveFileTimeout);
-    saveFileTimeout = null;
+  if (saveGamesTimeout) {
+    clearTimeout(saveGamesTimeout);
+    saveGamesTimeout = null;
+  }
+  await flushGameSaves();
+  if (saveJobsTimeout) {
+    clearTimeout(saveJobsTimeout);
+    saveJobsTimeout = null;
+    await saveCollection('jobs', jobs);
   }
-  await flushFileSave();
   
   // 等待所有 CSV 寫入完成
   try {
-    await regCsvWriteChain;
-    
-    // 如果使用 GitHub 模式，確保最後的內容已寫入
-    if (USE_GITHUB && regCsvContent) {
-      await writeCsvToGitHub(regCsvContent, 'Final save before shutdown');
-    }
+    await snapshotWriteChain;
+    await storage.flush();
     
     console.log('✅ 所有資料已寫入完成');
   } catch (e) {
-    console.error('⚠️ CSV 寫入過程中發生錯誤:', e);
+    console.error('⚠️ 快照寫入過程中發生錯誤:', e);
   }
   
   process.exit(0);
 }
 
-// 監聽關閉信號
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
+// 供測試載入（require 時不啟動服務器）
+module.exports = {
+  app,
+  client,
+  ready: startupPromise,
+  handleEvent,
+  get games() { return games; },
+  get jobs() { return jobs; },
+  get attendance() { return attendance; },
+  desiredJobsFor,
+  syncGameJobs,
+  runDueJobs,
+  createRng,
+  generatePairings,
+  createFileStorage,
+  createMemoryStorage,
+  createPostgresStorage,
+  runPgMigrations
+};
+
+if (require.main === module) {
+  // 監聽關閉信號
+  process.on('SIGTERM', gracefulShutdown);
+  process.on('SIGINT', gracefulShutdown);
 
-// 啟動服務器
-app.listen(port, () => {
-  console.log(`Badminton Bot Running on port ${port}...`);
+  // 啟動服務器
+  app.listen(port, () => {
+    console.log(`Badminton Bot Running on port ${port}...`);
   
-  if (AUTO_WAKE_ENABLED) {
-    // 立即執行一次（延遲5秒，確保服務器完全啟動）
-    setTimeout(() => {
-      pingSelf().catch(console.error);
-    }, 5000);
-    
-    // 依設定頻率執行自我PING
-    setInterval(() => {
-      pingSelf().catch(console.error);
-    }, AUTO_WAKE_INTERVAL_MINUTES * 60 * 1000);
+    if (AUTO_WAKE_ENABLED) {
+      // 第一次延遲5秒（確保服務器完全啟動），之後由 keepalive 工作依設定頻率重新排入；待排程工作載入後才排入，避免被載入的內容覆蓋
+      loadPromise.then(() => scheduleKeepalive(5000));
     
-    console.log(`✅ 自動喚醒定時器已啟動（每 ${AUTO_WAKE_INTERVAL_MINUTES} 分鐘）`);
-    logToFile(`[STARTUP] Auto-wake timer started (every ${AUTO_WAKE_INTERVAL_MINUTES} minutes)`);
-  } else {
-    console.log('ℹ️ 已停用自動喚醒定時器（AUTO_WAKE_ENABLED=false）');
-  }
-});
\ No newline at end of file
+      console.log(`✅ 自動喚醒定時器已啟動（每 ${AUTO_WAKE_INTERVAL_MINUTES} 分鐘）`);
+      logToFile(`[STARTUP] Auto-wake timer started (every ${AUTO_WAKE_INTERVAL_MINUTES} minutes)`);
+    } else {
+      console.log('ℹ️ 已停用自動喚醒定時器（AUTO_WAKE_ENABLED=false）');
+    }
+  });
+}
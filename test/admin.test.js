@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+test.before(() => bot.ready);
+
+function login(password, headers) {
+  return bot.request('POST', '/admin/login', { body: `password=${encodeURIComponent(password)}`, headers });
+}
+
+test('管理後台登入：反向代理之後依用戶端 IP 鎖定', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await login('wrong', { 'x-forwarded-for': '203.0.113.1' })).status, 401);
+  }
+  assert.strictEqual((await login('test-admin', { 'x-forwarded-for': '203.0.113.1' })).status, 429);
+  assert.strictEqual((await login('test-admin', { 'x-forwarded-for': '203.0.113.2' })).status, 302);
+});
+
+test('管理後台登入：HTTPS 連線的 Cookie 加上 Secure', async () => {
+  const secure = await login('test-admin', { 'x-forwarded-for': '203.0.113.3', 'x-forwarded-proto': 'https' });
+  assert.match(secure.headers['set-cookie'][0], /; Secure/);
+  const plain = await login('test-admin', { 'x-forwarded-for': '203.0.113.4' });
+  assert.doesNotMatch(plain.headers['set-cookie'][0], /Secure/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const groupId = 'Capi';
+let auth;
+
+test.before(async () => {
+  await bot.ready;
+  await bot.say('管理員登入 test-admin', { uid: 'Uadmin', groupId });
+  await bot.say('API金鑰', { uid: 'Uadmin', groupId });
+  const token = bot.sent.map(s => s.message.text || '').join('\n').match(/金鑰：(\w+)/)[1];
+  auth = { authorization: `Bearer ${token}` };
+  await bot.say('接龍開始\n標題{週二團}\n人數{20}', { uid: 'U0', groupId });
+});
+
+function register(body) {
+  return bot.request('POST', `/api/groups/${groupId}/registrations`, { body, headers: auth });
+}
+
+test('API 報名：名字「匿名」與聊天指令一樣記為匿名', async () => {
+  const res = await register({ names: ['小明', '匿名'] });
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(bot.games[groupId].sections[0].list, ['小明', '__ANON__']);
+  assert.strictEqual((await register({ name: '匿名' })).status, 201);
+  assert.deepStrictEqual(bot.games[groupId].sections[0].list, ['小明', '__ANON__', '__ANON__']);
+});
+
+test('API 報名：一次超過 9 人回傳 400，重複回傳 409', async () => {
+  const tooMany = await register({ names: Array.from({ length: 10 }, (_, i) => `球友${i + 1}`) });
+  assert.strictEqual(tooMany.status, 400);
+  assert.match(tooMany.json.error, /一次最多報名 9 人/);
+  assert.strictEqual((await register({ anonymous: 1000 })).status, 400);
+  assert.strictEqual((await register({ names: ['小明'] })).status, 409);
+  assert.strictEqual(bot.games[groupId].sections[0].list.length, 3);
+});
+
+test('聊天指令：一次超過 9 個名字同樣拒絕', async () => {
+  const names = Array.from({ length: 10 }, (_, i) => `隊員${i + 1}`).join(' ');
+  assert.match(await bot.say(`+9 ${names}`, { uid: 'U1', groupId }), /一次最多報名 9 人/);
+  assert.strictEqual(bot.games[groupId].sections[0].list.length, 3);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const HOUR = 60 * 60 * 1000;
+const groupId = 'Ccalendar';
+let groupPath;
+let playerPath;
+
+// 台灣時間 YYYY/MM/DD HH:mm
+function taipeiTime(ts) {
+  return new Date(ts + 8 * HOUR).toISOString().slice(0, 16).replace(/-/g, '/').replace('T', ' ');
+}
+
+test.before(async () => {
+  await bot.ready;
+  Object.assign(bot.displayNames, { U1: '小明', U2: '小華' });
+  await bot.say(`接龍開始\n標題{週二團}\n人數{1}\n候補{2}\n開打{${taipeiTime(Date.now() + 24 * HOUR)}}`, { uid: 'U0', groupId });
+  await bot.say('+1', { uid: 'U1', groupId });
+  await bot.say('+1', { uid: 'U2', groupId });
+  bot.games[groupId].note = '地點：市立體育館; 自備球拍, 請準時';
+  const reply = await bot.say('行事曆', { uid: 'U1', groupId });
+  [groupPath, playerPath] = reply.match(/\/calendar\/\S+/g);
+});
+
+test('行事曆：群組行事曆列出場次，時間為 UTC 並跳脫特殊字元', async () => {
+  const res = await bot.request('GET', groupPath);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers['content-type'], /text\/calendar/);
+  const body = res.text;
+  assert.ok(body.startsWith('BEGIN:VCALENDAR\r\n') && body.endsWith('END:VCALENDAR\r\n'));
+  const start = bot.games[groupId].playTime;
+  const utc = ts => new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  assert.ok(body.includes(`DTSTART:${utc(start)}\r\n`));
+  assert.ok(body.includes(`DTEND:${utc(start + 2 * HOUR)}\r\n`));
+  assert.ok(body.includes('SUMMARY:週二團\r\n'));
+  // 長行會折行，先接回再比對描述內容
+  const unfolded = body.replace(/\r\n /g, '');
+  assert.ok(unfolded.includes('DESCRIPTION:正取 1 人，候補 1 人\\n地點：市立體育館\\; 自備球拍\\, 請準時\r\n'));
+  body.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+});
+
+test('行事曆：個人行事曆只列出自己為正取的場次', async () => {
+  assert.match(playerPath, /player=/);
+  const mine = await bot.request('GET', playerPath);
+  assert.match(mine.text, /SUMMARY:週二團/);
+  assert.match(mine.text, /DESCRIPTION:狀態：正取/);
+
+  const waitlisted = await bot.say('行事曆', { uid: 'U2', groupId });
+  const res = await bot.request('GET', waitlisted.match(/\/calendar\/\S+/g)[1]);
+  assert.strictEqual(res.status, 200);
+  assert.doesNotMatch(res.text, /BEGIN:VEVENT/);
+});
+
+test('行事曆：token 不符時回傳 404', async () => {
+  assert.strictEqual((await bot.request('GET', groupPath.replace(/token=\w/, 'token=x'))).status, 404);
+  const other = playerPath.replace(/player=[^&]+/, `player=${encodeURIComponent('小華')}`);
+  assert.strictEqual((await bot.request('GET', other)).status, 404);
+});
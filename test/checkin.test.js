@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const HOUR = 60 * 60 * 1000;
+const groupId = 'Ccheckin';
+
+test.before(async () => {
+  await bot.ready;
+  Object.assign(bot.displayNames, { U1: '小明', U2: '小華', U3: '小美' });
+  await bot.say('接龍開始\n標題{週四團}\n人數{2}\n候補{2}', { uid: 'U0', groupId });
+  await bot.say('+1', { uid: 'U1', groupId });
+  await bot.say('+1', { uid: 'U2', groupId });
+  await bot.say('+1', { uid: 'U3', groupId });
+});
+
+function setPlayTime(ts) {
+  bot.games[groupId].playTime = ts;
+}
+
+test('簽到：只在開打前 1 小時到開打後 3 小時之間開放', async () => {
+  setPlayTime(Date.now() + HOUR + 60 * 1000);
+  assert.match(await bot.say('簽到', { uid: 'U1', groupId }), /目前不在簽到時段/);
+  setPlayTime(Date.now() - 3 * HOUR - 60 * 1000);
+  assert.match(await bot.say('簽到', { uid: 'U1', groupId }), /目前不在簽到時段/);
+  assert.strictEqual(bot.games[groupId].checkins, undefined);
+
+  setPlayTime(Date.now() + HOUR - 60 * 1000);
+  assert.match(await bot.say('簽到', { uid: 'U1', groupId }), /已簽到：小明\n目前簽到 1 \/ 2 人/);
+});
+
+test('簽到：候補不能簽到，一般成員不能幫別人簽到', async () => {
+  assert.match(await bot.say('簽到', { uid: 'U3', groupId }), /不在正取名單中：小美/);
+  assert.match(await bot.say('簽到 小華', { uid: 'U1', groupId }), /只有接龍建立者或管理員可以幫別人簽到/);
+});
+
+test('簽到：建立者代簽不受時段限制，記錄報名者的 UID', async () => {
+  setPlayTime(Date.now() + 5 * HOUR);
+  assert.match(await bot.say('簽到 小華', { uid: 'U0', groupId }), /已簽到：小華/);
+  assert.deepStrictEqual(
+    { uid: bot.games[groupId].checkins['小華'].uid, by: bot.games[groupId].checkins['小華'].by },
+    { uid: 'U2', by: 'U0' }
+  );
+  assert.match(await bot.say('簽到名單', { uid: 'U1', groupId }), /已簽到：小明、小華\n⌛ 未簽到：無/);
+});
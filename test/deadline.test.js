@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const HOUR = 60 * 60 * 1000;
+const groupId = 'Cdeadline';
+
+// 台灣時間 YYYY/MM/DD HH:mm
+function taipeiTime(ts) {
+  return new Date(ts + 8 * HOUR).toISOString().slice(0, 16).replace(/-/g, '/').replace('T', ' ');
+}
+
+test.before(() => bot.ready);
+
+test('報名截止：到期後鎖定並推播最終名單，只有建立者可以異動', async () => {
+  Object.assign(bot.displayNames, { U1: '小明', U2: '小華' });
+  await bot.say(`接龍開始\n標題{週五團}\n人數{4}\n截止{${taipeiTime(Date.now() + HOUR)}}`, { uid: 'U0', groupId });
+  await bot.say('+1', { uid: 'U1', groupId });
+  const job = bot.jobs[`deadline-lock:${groupId}`];
+  assert.strictEqual(job.due, bot.games[groupId].deadline);
+
+  bot.games[groupId].deadline = Date.now() - 1000;
+  bot.syncGameJobs(groupId);
+  const before = bot.sent.length;
+  await bot.runDueJobs();
+  assert.strictEqual(bot.games[groupId].locked, true);
+  const pushed = bot.sent.slice(before).filter(s => s.kind === 'push' && s.to === groupId);
+  assert.strictEqual(pushed.length, 1);
+  assert.match([].concat(pushed[0].message).map(m => m.text || m.altText).join('\n'), /報名已截止，最終名單如下/);
+
+  assert.match(await bot.say('+1', { uid: 'U2', groupId }), /報名已截止/);
+  assert.match(await bot.say('-1', { uid: 'U1', groupId }), /報名已截止/);
+  await bot.say('+1 小美', { uid: 'U0', groupId });
+  assert.deepStrictEqual(bot.games[groupId].sections[0].list, ['小明', '小美']);
+});
+
+test('報名截止：修改截止時間後解除鎖定', async () => {
+  await bot.say('接龍修改\n截止{取消}', { uid: 'U0', groupId });
+  assert.strictEqual(bot.games[groupId].locked, false);
+  assert.strictEqual(bot.jobs[`deadline-lock:${groupId}`], undefined);
+  await bot.say('+1', { uid: 'U2', groupId });
+  assert.deepStrictEqual(bot.games[groupId].sections[0].list, ['小明', '小美', '小華']);
+
+  await bot.say(`接龍修改\n截止{${taipeiTime(Date.now() + 2 * HOUR)}}`, { uid: 'U0', groupId });
+  assert.ok(bot.jobs[`deadline-lock:${groupId}`]);
+  await bot.say('-1', { uid: 'U2', groupId });
+  assert.deepStrictEqual(bot.games[groupId].sections[0].list, ['小明', '小美']);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// 台灣時間 YYYY/MM/DD HH:mm
+function taipeiTime(ts) {
+  return new Date(ts + 8 * HOUR).toISOString().slice(0, 16).replace(/-/g, '/').replace('T', ' ');
+}
+
+// 推播一律失敗（例如額度用完），回傳還原函式
+function failPushes() {
+  const original = bot.client.pushMessage;
+  bot.client.pushMessage = async () => {
+    throw new Error('monthly limit reached');
+  };
+  return () => {
+    bot.client.pushMessage = original;
+  };
+}
+
+// 模擬重試時間已到
+async function runRetry(id) {
+  bot.jobs[id].runAt = Date.now();
+  await bot.runDueJobs();
+}
+
+async function createScheduledGame(groupId) {
+  await bot.say(`接龍開始\n標題{週二團}\n人數{4}\n時間{${taipeiTime(Date.now() + HOUR)}}`, { uid: 'U0', groupId });
+  const id = `open-push:${groupId}`;
+  assert.strictEqual(bot.jobs[id].due, bot.games[groupId].scheduleTime);
+  bot.games[groupId].scheduleTime = Date.now() - 1000;
+  bot.syncGameJobs(groupId);
+  return id;
+}
+
+test.before(() => bot.ready);
+
+test('排程工作：推播失敗時以加倍的間隔重試，成功後才移除排程', async () => {
+  const groupId = 'Cjobs1';
+  const id = await createScheduledGame(groupId);
+  const restore = failPushes();
+  try {
+    await bot.runDueJobs();
+    let job = bot.jobs[id];
+    assert.strictEqual(job.attempts, 1);
+    assert.strictEqual(job.status, 'pending');
+    assert.match(job.lastError, /monthly limit/);
+    assert.ok(Math.abs(job.runAt - (Date.now() + MINUTE)) < 5000);
+
+    await runRetry(id);
+    job = bot.jobs[id];
+    assert.strictEqual(job.attempts, 2);
+    assert.ok(Math.abs(job.runAt - (Date.now() + 2 * MINUTE)) < 5000);
+    assert.ok(bot.games[groupId].scheduleTime, '推播成功前保留排程時間');
+  } finally {
+    restore();
+  }
+
+  const before = bot.sent.length;
+  await runRetry(id);
+  assert.strictEqual(bot.jobs[id], undefined);
+  assert.strictEqual(bot.games[groupId].scheduleTime, undefined);
+  assert.strictEqual(bot.sent.slice(before).filter(s => s.kind === 'push' && s.to === groupId).length, 1);
+});
+
+test('排程工作：連續失敗 6 次後標記失敗，保留到管理員清除', async () => {
+  const groupId = 'Cjobs2';
+  const id = await createScheduledGame(groupId);
+  const restore = failPushes();
+  try {
+    await bot.runDueJobs();
+    for (let i = 1; i < 6; i++) await runRetry(id);
+  } finally {
+    restore();
+  }
+  const job = bot.jobs[id];
+  assert.strictEqual(job.attempts, 6);
+  assert.strictEqual(job.status, 'failed');
+
+  // 失敗的工作不再執行，重新同步接龍也不會重建
+  job.runAt = Date.now();
+  await bot.runDueJobs();
+  bot.syncGameJobs(groupId);
+  assert.strictEqual(bot.jobs[id].status, 'failed');
+  assert.strictEqual(bot.jobs[id].attempts, 6);
+
+  await bot.say('管理員登入 test-admin', { uid: 'Uadmin', groupId });
+  assert.match(await bot.say('清除失敗排程', { uid: 'Uadmin', groupId }), /已清除 1 筆失敗的排程工作/);
+  assert.strictEqual(bot.jobs[id], undefined);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const groupId = 'Cmulti';
+
+test.before(async () => {
+  await bot.ready;
+  Object.assign(bot.displayNames, { U1: '小明', U2: '小華', U3: '小美' });
+  await bot.say('接龍開始\n標題{週三團}\n人數{6}', { uid: 'U0', groupId });
+  await bot.say('接龍開始 #新\n標題{週日團}\n人數{6}', { uid: 'U0', groupId });
+});
+
+function names(key) {
+  return bot.games[key].sections[0].list;
+}
+
+test('多接龍：#新 取下一個編號', () => {
+  assert.strictEqual(bot.games[groupId].title, '週三團');
+  assert.strictEqual(bot.games[`${groupId}#2`].title, '週日團');
+});
+
+test('多接龍：沒有指定時提示選擇，不異動任何名單', async () => {
+  assert.match(await bot.say('+1', { uid: 'U1', groupId }), /目前有多個接龍，請指定/);
+  assert.deepStrictEqual(names(groupId), []);
+  assert.deepStrictEqual(names(`${groupId}#2`), []);
+});
+
+test('多接龍：以 #編號 或 #標題 指定接龍', async () => {
+  await bot.say('+1 #2', { uid: 'U1', groupId });
+  await bot.say('+1 #週三團', { uid: 'U2', groupId });
+  assert.deepStrictEqual(names(`${groupId}#2`), ['小明']);
+  assert.deepStrictEqual(names(groupId), ['小華']);
+
+  await bot.say('-1 小明 #2', { uid: 'U1', groupId });
+  assert.deepStrictEqual(names(`${groupId}#2`), []);
+
+  assert.match(await bot.say('+1 #9', { uid: 'U1', groupId }), /找不到接龍 #9/);
+});
+
+test('多接龍：回覆某份名單訊息時套用到該接龍', async () => {
+  const before = bot.sent.length;
+  await bot.say('接龍名單 #2', { uid: 'U3', groupId });
+  const listMessageId = bot.sent.slice(before).find(s => s.kind === 'reply').messageIds[0];
+
+  await bot.say('+1', { uid: 'U3', groupId, quotedMessageId: listMessageId });
+  assert.deepStrictEqual(names(`${groupId}#2`), ['小美']);
+  assert.deepStrictEqual(names(groupId), ['小華']);
+});
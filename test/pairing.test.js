@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRng, generatePairings } = require('./setup');
+
+const players = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+test('同樣的種子產生同樣的亂數序列', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const seqA = Array.from({ length: 5 }, () => a());
+  const seqB = Array.from({ length: 5 }, () => b());
+  assert.deepStrictEqual(seqA, seqB);
+  assert.notDeepStrictEqual(seqA, Array.from({ length: 5 }, createRng(43)));
+  seqA.forEach(v => assert.ok(v >= 0 && v < 1));
+});
+
+test('同樣的種子產生同樣的分隊', () => {
+  const first = generatePairings(players, 2, 4, { seed: 1234 });
+  const second = generatePairings(players, 2, 4, { seed: 1234 });
+  assert.deepStrictEqual(first, second);
+});
+
+test('分隊：每輪每人最多上場一次、搭檔不重複、休息輪流', () => {
+  const plan = generatePairings(players, 2, 4, { seed: 1234 });
+  assert.strictEqual(plan.courts, 2);
+  assert.strictEqual(plan.rounds.length, 4);
+
+  const partners = new Set();
+  plan.rounds.forEach((round) => {
+    const onCourt = round.matches.flat(2);
+    assert.strictEqual(onCourt.length, 8);
+    assert.strictEqual(new Set(onCourt).size, 8);
+    assert.deepStrictEqual([...onCourt, ...round.resting].sort(), players.slice().sort());
+    round.matches.forEach(([t1, t2]) => {
+      assert.strictEqual(t1.length, 2);
+      assert.strictEqual(t2.length, 2);
+      [t1, t2].forEach(([a, b]) => {
+        assert.ok(!partners.has(pairKey(a, b)), `搭檔重複：${a}、${b}`);
+        partners.add(pairKey(a, b));
+      });
+    });
+  });
+
+  const counts = Object.values(plan.played);
+  assert.ok(Math.max(...counts) - Math.min(...counts) <= 1);
+});
+
+test('分隊：指定程度時兩隊程度盡量平均', () => {
+  const levels = { A: 5, B: 5, C: 1, D: 1 };
+  const plan = generatePairings(['A', 'B', 'C', 'D'], 1, 1, { seed: 7, levels });
+  const [[t1, t2]] = plan.rounds[0].matches;
+  const sum = team => team.reduce((total, p) => total + levels[p], 0);
+  assert.strictEqual(sum(t1), sum(t2));
+});
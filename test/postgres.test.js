@@ -0,0 +1,100 @@
+// PostgreSQL 儲存後端：需要 DATABASE_URL（例如本地 Postgres 容器），未設定時略過
+// 每次在新建立的 schema 中執行，結束後整個刪除，不影響資料庫中的其他資料
+const test = require('node:test');
+const assert = require('node:assert');
+const { runPgMigrations, createPostgresStorage } = require('./setup');
+
+const DATABASE_URL = process.env.DATABASE_URL;
+const skip = !DATABASE_URL && '未設定 DATABASE_URL';
+const schema = `line_bot_test_${process.pid}`;
+let pool;
+let storage;
+
+function sampleGame() {
+  return {
+    title: '週二團',
+    note: '',
+    active: true,
+    startTime: 1700000000000,
+    playTime: 1700100000000,
+    creatorUid: 'U0',
+    opLog: [{ seq: 1, time: 1700000000000, uid: 'U1', action: '報名', detail: '', changes: [], before: null }],
+    opSeq: 1,
+    sections: [
+      {
+        title: '',
+        limit: 2,
+        backupLimit: 1,
+        label: '',
+        list: ['B', '__ANON__', 'A'],
+        // 擁有者順序與名單不同，且有同名的匿名占位符
+        owners: [{ name: 'A', uid: 'U1', time: 1700000001000 }, { name: '__ANON__', uid: 'U2', time: 1700000002000 }, { name: 'B', uid: null, time: 1700000003000 }]
+      },
+      { title: '下半場', limit: 4, backupLimit: 0, label: 'B', list: [] }
+    ]
+  };
+}
+
+test.before(async () => {
+  if (skip) return;
+  const { Pool } = require('pg');
+  pool = new Pool({ connectionString: DATABASE_URL, options: `-c search_path=${schema}`, max: 2 });
+  await pool.query(`CREATE SCHEMA ${schema}`);
+  storage = createPostgresStorage(pool);
+});
+
+test.after(async () => {
+  if (!pool) return;
+  await pool.query(`DROP SCHEMA ${schema} CASCADE`);
+  await pool.end();
+});
+
+test('PostgreSQL：遷移依序執行且可重複執行', { skip }, async () => {
+  await runPgMigrations(pool);
+  await runPgMigrations(pool);
+  const res = await pool.query('SELECT version FROM schema_migrations ORDER BY version');
+  assert.deepStrictEqual(res.rows.map(row => Number(row.version)), [1, 2, 3, 4]);
+});
+
+test('PostgreSQL：接龍保存後讀回內容完全相同', { skip }, async () => {
+  const all = { Cg1: sampleGame(), 'Cg1#2': Object.assign(sampleGame(), { title: '週四團', playTime: null }) };
+  await storage.saveGames(all, ['Cg1', 'Cg1#2']);
+  assert.deepStrictEqual(await storage.loadGames(), all);
+
+  const regs = await pool.query(`SELECT name, uid FROM registrations WHERE gid = 'Cg1' ORDER BY position`);
+  assert.deepStrictEqual(regs.rows, [{ name: 'B', uid: null }, { name: '__ANON__', uid: 'U2' }, { name: 'A', uid: 'U1' }]);
+
+  all.Cg1.sections[0].list.pop();
+  all.Cg1.sections[0].owners.shift();
+  await storage.saveGames(all, ['Cg1']);
+  assert.deepStrictEqual((await storage.loadGames()).Cg1, all.Cg1);
+});
+
+test('PostgreSQL：刪除接龍連同區段與報名', { skip }, async () => {
+  await storage.deleteGame('Cg1#2');
+  assert.deepStrictEqual(Object.keys(await storage.loadGames()), ['Cg1']);
+  const res = await pool.query(`SELECT count(*) AS count FROM registrations WHERE gid = 'Cg1#2'`);
+  assert.strictEqual(Number(res.rows[0].count), 0);
+});
+
+test('PostgreSQL：場次封存與每日備份', { skip }, async () => {
+  const session = { title: '週二團', shortId: 1, endedAt: 1700200000000, reason: 'ended', players: [{ name: 'A', uid: 'U1' }] };
+  await storage.archiveSession('Cg1', session, { Cg1: [session] });
+  assert.deepStrictEqual(await storage.loadHistory(), { Cg1: [session] });
+
+  const state = { version: 1, savedAt: 1700000000000, games: { Cg1: sampleGame() } };
+  await storage.saveBackup('2026-01-02', state);
+  await storage.saveBackup('2026-01-01', state);
+  assert.deepStrictEqual(await storage.listBackups(), ['2026-01-01', '2026-01-02']);
+  assert.deepStrictEqual(await storage.loadBackup('2026-01-02'), state);
+  await storage.deleteBackup('2026-01-01');
+  assert.deepStrictEqual(await storage.listBackups(), ['2026-01-02']);
+});
+
+test('PostgreSQL：出席與積分等資料集合', { skip }, async () => {
+  assert.deepStrictEqual(await storage.loadCollection('ratings'), {});
+  const ratings = { Cg1: { players: { A: { rating: 1016, games: 1, wins: 1, losses: 0 } }, matches: [] } };
+  await storage.saveCollection('ratings', ratings);
+  await storage.saveCollection('ratings', ratings);
+  assert.deepStrictEqual(await storage.loadCollection('ratings'), ratings);
+});
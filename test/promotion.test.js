@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+test.before(() => bot.ready);
+
+test('候補遞補：本人報名時標記報名者本人，而非同名的其他成員', async () => {
+  const groupId = 'Cpromote';
+  Object.assign(bot.displayNames, { U2: '小華', U5: '小明', U9: '小明' });
+  await bot.say('接龍開始\n標題{週二團}\n人數{1}\n候補{2}', { uid: 'U0', groupId });
+  await bot.say('+1', { uid: 'U2', groupId });
+  // 另一位同名成員先在群組中報名又取消，顯示名稱快取中有兩個「小明」
+  await bot.say('+1', { uid: 'U9', groupId });
+  await bot.say('-1', { uid: 'U9', groupId });
+  await bot.say('+1', { uid: 'U5', groupId });
+  assert.deepStrictEqual(bot.games[groupId].sections[0].list, ['小華', '小明']);
+
+  const before = bot.sent.length;
+  await bot.say('-1', { uid: 'U2', groupId });
+  const mention = bot.sent.slice(before)
+    .flatMap(s => [].concat(s.message))
+    .find(m => m.type === 'textV2');
+  assert.ok(mention, '遞補通知使用 mention');
+  assert.deepStrictEqual(Object.values(mention.substitution).map(s => s.mentionee.userId), ['U5']);
+});
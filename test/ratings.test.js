@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const groupId = 'Cratings';
+
+test.before(() => bot.ready);
+
+test('積分：同分對戰時勝方兩人各 +16、敗方各 -16', async () => {
+  const reply = await bot.say('比分 小明 小華 21:15 阿土 阿狗', { groupId });
+  assert.match(reply, /🏆 小明、小華 \+16\n阿土、阿狗 -16/);
+  assert.match(reply, /小明：1516\n小華：1516\n阿土：1484\n阿狗：1484/);
+});
+
+test('積分：以兩人平均積分計算勝率，高分隊伍贏球得分較少', async () => {
+  // 1516 對 1500：預期勝率約 0.523，贏了 +15
+  assert.match(await bot.say('比分 小明 小華 21-19 阿貓 阿牛', { groupId }), /小明、小華 \+15/);
+  // 1485 對 1531：低分隊伍爆冷贏球 +18
+  assert.match(await bot.say('比分 阿貓 阿牛 21:10 小明 小華', { groupId }), /阿貓、阿牛 \+18/);
+  const board = await bot.say('積分榜', { groupId });
+  assert.match(board, /共 3 場比賽/);
+  assert.match(board, /🥇 小明：1513（2 勝 1 敗）/);
+});
+
+test('積分：平手或重複的名字不記錄', async () => {
+  assert.match(await bot.say('比分 小明 小華 21:21 阿土 阿狗', { groupId }), /比分不能平手/);
+  assert.match(await bot.say('比分 小明 小明 21:15 阿土 阿狗', { groupId }), /不能出現重複的名字/);
+  assert.match(await bot.say('積分榜', { groupId }), /共 3 場比賽/);
+  assert.strictEqual(await bot.say('比分很接近', { groupId }), '');
+});
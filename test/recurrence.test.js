@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const HOUR = 60 * 60 * 1000;
+const groupId = 'Crecurrence';
+
+test.before(() => bot.ready);
+
+test('週期接龍：換場排在簽到時段結束後，開打後簽到記為出席', async () => {
+  bot.displayNames.U1 = '小明';
+  bot.displayNames.U2 = '小華';
+  await bot.say('接龍開始\n標題{週二團}\n人數{4}\n週期{每週二 20:00}', { uid: 'U0', groupId });
+  await bot.say('+1', { uid: 'U1', groupId });
+  await bot.say('+1', { uid: 'U2', groupId });
+
+  // 本場已開打 30 分鐘
+  const g = bot.games[groupId];
+  const playTime = Date.now() - 0.5 * HOUR;
+  g.playTime = playTime;
+  bot.syncGameJobs(groupId);
+  const rollover = bot.jobs[`recurrence:${groupId}`];
+  assert.strictEqual(rollover.due, playTime + 3 * HOUR);
+
+  assert.match(await bot.say('簽到', { uid: 'U1', groupId }), /已簽到：小明/);
+  await bot.runDueJobs();
+  assert.strictEqual(bot.games[groupId].playTime, playTime, '簽到時段內不換場');
+  assert.deepStrictEqual(bot.games[groupId].sections[0].list, ['小明', '小華']);
+
+  // 簽到時段結束
+  bot.games[groupId].playTime = Date.now() - 3 * HOUR - 60 * 1000;
+  bot.syncGameJobs(groupId);
+  await bot.runDueJobs();
+  const next = bot.games[groupId];
+  assert.ok(next.playTime > Date.now(), '已建立下一場');
+  assert.deepStrictEqual(next.sections[0].list, []);
+
+  const book = bot.attendance[groupId];
+  assert.strictEqual(book['小明'].attended, 1);
+  assert.strictEqual(book['小明'].noShows, 0);
+  assert.strictEqual(book['小明'].uid, 'U1');
+  assert.strictEqual(book['小華'].noShows, 1);
+});
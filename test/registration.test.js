@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+test.before(() => bot.ready);
+
+function names(groupId) {
+  return bot.games[groupId].sections[0].list;
+}
+
+test('取消報名：被代報的本人可以自己取消，其他成員不行', async () => {
+  const groupId = 'Cremove';
+  Object.assign(bot.displayNames, { U1: '阿強', U2: '小明', U3: '小美' });
+  await bot.say('接龍開始\n標題{週二團}\n人數{6}', { uid: 'U0', groupId });
+  await bot.say('+2 小明 小華', { uid: 'U1', groupId });
+  assert.deepStrictEqual(names(groupId), ['小明', '小華']);
+
+  assert.match(await bot.say('-1 小華', { uid: 'U3', groupId }), /只有報名者本人或管理員/);
+  assert.deepStrictEqual(names(groupId), ['小明', '小華']);
+
+  await bot.say('-1', { uid: 'U2', groupId });
+  assert.deepStrictEqual(names(groupId), ['小華']);
+
+  await bot.say('-1 小華', { uid: 'U1', groupId });
+  assert.deepStrictEqual(names(groupId), []);
+});
+
+test('付款標記：只有本人、代報者或管理者可以標記', async () => {
+  const groupId = 'Cpaid';
+  Object.assign(bot.displayNames, { U1: '阿強', U2: '小明', U3: '小美' });
+  await bot.say('接龍開始\n標題{週二團}\n人數{6}', { uid: 'U0', groupId });
+  await bot.say('+2 小明 小華', { uid: 'U1', groupId });
+  await bot.say('+1', { uid: 'U3', groupId });
+
+  assert.match(await bot.say('已付 小華', { uid: 'U3', groupId }), /只有報名者本人或管理員可以標記「小華」的付款/);
+  assert.deepStrictEqual(bot.games[groupId].paid, {});
+
+  await bot.say('已付', { uid: 'U2', groupId });
+  await bot.say('已付 小華', { uid: 'U1', groupId });
+  await bot.say('已付 小美', { uid: 'U0', groupId });
+  assert.deepStrictEqual(Object.keys(bot.games[groupId].paid).sort(), ['小明', '小美', '小華'].sort());
+
+  assert.match(await bot.say('取消已付 小明', { uid: 'U3', groupId }), /只有報名者本人或管理員/);
+  assert.ok(bot.games[groupId].paid['小明']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const HOUR = 60 * 60 * 1000;
+
+// 台灣時間 YYYY/MM/DD HH:mm
+function taipeiTime(ts) {
+  return new Date(ts + 8 * HOUR).toISOString().slice(0, 16).replace(/-/g, '/').replace('T', ' ');
+}
+
+function pushesTo(groupId, from) {
+  return bot.sent.slice(from)
+    .filter(s => s.kind === 'push' && s.to === groupId)
+    .map(s => [].concat(s.message).map(m => m.text || m.altText).join('\n'));
+}
+
+// 把開打時間移到 playTime，重新排程後執行到期的工作，回傳這段期間的推播
+async function runAt(groupId, playTime) {
+  bot.games[groupId].playTime = playTime;
+  bot.syncGameJobs(groupId);
+  const before = bot.sent.length;
+  await bot.runDueJobs();
+  return pushesTo(groupId, before);
+}
+
+test.before(() => bot.ready);
+
+test('提醒：每則提醒各有一筆排程工作，到期時間為開打前的時間', async () => {
+  const groupId = 'Cremind1';
+  await bot.say(`接龍開始\n標題{週二團}\n人數{2}\n候補{1}\n開打{${taipeiTime(Date.now() + 48 * HOUR)}}\n提醒{24h,空位3h}`, { uid: 'U0', groupId });
+  const playTime = bot.games[groupId].playTime;
+  assert.strictEqual(bot.jobs[`reminder:${groupId}:list-86400000`].due, playTime - 24 * HOUR);
+  assert.strictEqual(bot.jobs[`reminder:${groupId}:open-10800000`].due, playTime - 3 * HOUR);
+});
+
+test('提醒：到期推播一次，之後不重複；還有空位時推播招募訊息', async () => {
+  const groupId = 'Cremind1';
+  let pushed = await runAt(groupId, Date.now() + 23 * HOUR);
+  assert.strictEqual(pushed.length, 1);
+  assert.match(pushed[0], /⏰ 距離開打還有 2[23] 小時/);
+  assert.ok(bot.games[groupId].remindersFired['list-86400000'] > 0);
+  assert.deepStrictEqual(await runAt(groupId, Date.now() + 23 * HOUR), []);
+
+  await bot.say('+1 小明', { uid: 'U1', groupId });
+  pushed = await runAt(groupId, Date.now() + 2 * HOUR);
+  assert.strictEqual(pushed.length, 1);
+  assert.match(pushed[0], /還有 1 個正取名額，要打的快 \+1！/);
+  assert.strictEqual(bot.jobs[`reminder:${groupId}:open-10800000`], undefined);
+});
+
+test('提醒：錯過多則同類型提醒時只補發最近的一則', async () => {
+  const groupId = 'Cremind2';
+  await bot.say(`接龍開始\n標題{週四團}\n人數{2}\n開打{${taipeiTime(Date.now() + 48 * HOUR)}}\n提醒{24h,2h}`, { uid: 'U0', groupId });
+  const pushed = await runAt(groupId, Date.now() + HOUR);
+  assert.strictEqual(pushed.length, 1);
+  assert.match(pushed[0], /距離開打還有/);
+  const fired = bot.games[groupId].remindersFired;
+  assert.ok(fired['list-86400000'] < 0, '24 小時前的提醒記為略過');
+  assert.ok(fired['list-7200000'] > 0);
+});
+
+test('提醒：格式錯誤時不建立接龍設定', async () => {
+  const groupId = 'Cremind3';
+  const reply = await bot.say(`接龍開始\n標題{週六團}\n開打{${taipeiTime(Date.now() + 48 * HOUR)}}\n提醒{明天}`, { uid: 'U0', groupId });
+  assert.match(reply, /提醒格式錯誤/);
+  assert.strictEqual(bot.games[groupId], undefined);
+});
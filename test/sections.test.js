@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+const groupId = 'Csections';
+
+test.before(async () => {
+  await bot.ready;
+  Object.assign(bot.displayNames, { U1: '小明', U2: '小華' });
+  await bot.say('接龍開始\n標題{週六團}\n人數{4}', { uid: 'U0', groupId });
+  await bot.say('接龍{前半場}{4}{2}{A}', { uid: 'U0', groupId });
+  await bot.say('接龍2{後半場}{4}{2}{B}', { uid: 'U0', groupId });
+});
+
+function lists() {
+  return bot.games[groupId].sections.map(sec => sec.list);
+}
+
+test('多區段：以標籤、區段標題或第幾段指定', async () => {
+  assert.deepStrictEqual(bot.games[groupId].sections.map(sec => [sec.title, sec.label]), [['前半場', 'A'], ['後半場', 'B']]);
+  await bot.say('+1', { uid: 'U2', groupId });
+  await bot.say('+1@B', { uid: 'U1', groupId });
+  await bot.say('+2 @後半場 阿土 阿狗', { uid: 'U2', groupId });
+  await bot.say('阿貓+1@1', { uid: 'U2', groupId });
+  assert.deepStrictEqual(lists(), [['小華', '阿貓'], ['小明', '阿土', '阿狗']]);
+});
+
+test('多區段：同一個名字可以報名不同區段，-1@ 只取消該區段', async () => {
+  await bot.say('+1@A', { uid: 'U1', groupId });
+  assert.deepStrictEqual(lists()[0], ['小華', '阿貓', '小明']);
+  await bot.say('-1@B', { uid: 'U1', groupId });
+  assert.deepStrictEqual(lists(), [['小華', '阿貓', '小明'], ['阿土', '阿狗']]);
+});
+
+test('多區段：找不到區段時列出可用的寫法', async () => {
+  const reply = await bot.say('+1@C', { uid: 'U1', groupId });
+  assert.match(reply, /找不到區段「C」/);
+  assert.match(reply, /@A 前半場\n@B 後半場/);
+});
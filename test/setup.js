@@ -0,0 +1,78 @@
+// 測試共用：在暫存資料夾、記憶體儲存模式下載入 index.js（不啟動服務器、不連 GitHub、不呼叫 LINE API）
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'line-bot-test-'));
+process.env.LINE_CHANNEL_ACCESS_TOKEN = process.env.LINE_CHANNEL_ACCESS_TOKEN || 'test-token';
+process.env.LINE_CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET || 'test-secret';
+process.env.STORAGE_DIR = dir;
+process.env.STORAGE_BACKEND = 'memory';
+process.env.AUTO_WAKE_ENABLED = 'false';
+process.env.ADMIN_PASSWORD = 'test-admin';
+delete process.env.GITHUB_TOKEN;
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+const bot = require('../index.js');
+
+// LINE API 改為記錄送出的訊息；顯示名稱以 UID 查 displayNames，沒有則用 UID
+// 回覆的每則訊息都有 ID（記在 sent 的 messageIds），可用來模擬「回覆」某份名單
+const sent = [];
+const displayNames = {};
+let messageSeq = 0;
+bot.client.replyMessage = async (replyToken, message) => {
+  const messageIds = [].concat(message).map(() => `s${++messageSeq}`);
+  sent.push({ kind: 'reply', replyToken, message, messageIds });
+  return { sentMessages: messageIds.map(id => ({ id })) };
+};
+bot.client.pushMessage = async (to, message) => {
+  sent.push({ kind: 'push', to, message });
+  return {};
+};
+bot.client.getGroupMemberProfile = async (groupId, uid) => ({ displayName: displayNames[uid] || uid });
+bot.client.getProfile = async uid => ({ displayName: displayNames[uid] || uid });
+
+let replySeq = 0;
+
+// 模擬群組中的一則文字訊息，回傳這則訊息造成的回覆/推播文字（Flex 訊息取 altText）
+async function say(text, { uid = 'U1', groupId = 'Ctest', quotedMessageId } = {}) {
+  const before = sent.length;
+  const message = { type: 'text', id: `m${++replySeq}`, text };
+  if (quotedMessageId) message.quotedMessageId = quotedMessageId;
+  await bot.handleEvent({ type: 'message', replyToken: `r${replySeq}`, source: { type: 'group', groupId, userId: uid }, message });
+  return sent.slice(before).map(s => [].concat(s.message).map(m => m.text || m.altText).join('\n')).join('\n');
+}
+
+// 對 app 發出一個 HTTP 請求（每次開一個臨時埠），body 為字串時以表單送出，其餘以 JSON 送出
+function request(method, urlPath, { body, headers = {} } = {}) {
+  const data = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+  const type = typeof body === 'string' ? 'application/x-www-form-urlencoded' : 'application/json';
+  return new Promise((resolve, reject) => {
+    const server = bot.app.listen(0, () => {
+      const req = http.request({
+        port: server.address().port,
+        path: urlPath,
+        method,
+        headers: Object.assign(data === null ? {} : { 'content-type': type, 'content-length': Buffer.byteLength(data) }, headers)
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => {
+          server.close();
+          let json = null;
+          try { json = JSON.parse(text); } catch (e) { /* 非 JSON 回應 */ }
+          resolve({ status: res.statusCode, headers: res.headers, text, json });
+        });
+      });
+      req.on('error', (e) => {
+        server.close();
+        reject(e);
+      });
+      req.end(data === null ? undefined : data);
+    });
+  });
+}
+
+module.exports = Object.assign(Object.create(bot), { dir, sent, displayNames, say, request });
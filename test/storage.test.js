@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFileStorage, createMemoryStorage } = require('./setup');
+
+function sampleGame(title) {
+  return {
+    title,
+    active: true,
+    startTime: 1700000000000,
+    sections: [
+      {
+        title: '',
+        limit: 4,
+        backupLimit: 2,
+        label: '',
+        list: ['A', 'B'],
+        // 與 recordOwner 相同的格式：B 由 A 代報
+        owners: [{ name: 'A', uid: 'U1', time: 1700000001000 }, { name: 'B', uid: 'U1', time: 1700000001000 }]
+      }
+    ]
+  };
+}
+
+// 與 saveGame / deleteGame 相同的呼叫順序：先記錄異動，再保存
+async function save(storage, all, gids) {
+  if (storage.recordChange) gids.forEach(gid => storage.recordChange(gid, all[gid]));
+  await storage.saveGames(all, gids);
+}
+
+async function remove(storage, all, gid) {
+  delete all[gid];
+  if (storage.recordChange) storage.recordChange(gid, null);
+  await storage.deleteGame(gid, all);
+}
+
+// 每個儲存後端都必須滿足的行為，新增後端時加入下方清單
+const backends = [
+  ['memory', createMemoryStorage],
+  ['file', createFileStorage]
+];
+
+backends.forEach(([name, create]) => {
+  test(`儲存後端（${name}）：保存、讀取與刪除接龍`, async () => {
+    const storage = create();
+    await storage.init();
+    const all = { Cg1: sampleGame('週二團'), 'Cg1#2': sampleGame('週四團') };
+    await save(storage, all, ['Cg1', 'Cg1#2']);
+    assert.deepStrictEqual(await storage.loadGames(), all);
+
+    all.Cg1.sections[0].list.push('C');
+    await save(storage, all, ['Cg1']);
+    assert.deepStrictEqual((await storage.loadGames()).Cg1.sections[0].list, ['A', 'B', 'C']);
+
+    await remove(storage, all, 'Cg1#2');
+    assert.deepStrictEqual(Object.keys(await storage.loadGames()), ['Cg1']);
+
+    await remove(storage, all, 'Cg1');
+    assert.deepStrictEqual(await storage.loadGames(), {});
+    await storage.flush();
+  });
+
+  test(`儲存後端（${name}）：場次封存`, async () => {
+    const storage = create();
+    const session = { title: '週二團', endedAt: 1700000000000, reason: 'ended', players: [{ name: 'A', uid: 'U1' }] };
+    const history = { Cg1: [session] };
+    await storage.archiveSession('Cg1', session, history);
+    assert.deepStrictEqual(await storage.loadHistory(), history);
+  });
+
+  test(`儲存後端（${name}）：接龍快照與每日備份`, async () => {
+    const storage = create();
+    const state = { version: 3, savedAt: 1700000000000, games: { Cg1: sampleGame('週二團') } };
+    await storage.saveSnapshot(state, 'test');
+    assert.deepStrictEqual(await storage.loadSnapshot(), state);
+
+    await storage.saveBackup('2026-01-02', state);
+    await storage.saveBackup('2026-01-01', Object.assign({}, state, { version: 2 }));
+    assert.deepStrictEqual(await storage.listBackups(), ['2026-01-01', '2026-01-02']);
+    assert.deepStrictEqual(await storage.loadBackup('2026-01-02'), state);
+    assert.strictEqual(await storage.loadBackup('2025-12-31'), null);
+
+    await storage.deleteBackup('2026-01-01');
+    assert.deepStrictEqual(await storage.listBackups(), ['2026-01-02']);
+  });
+
+  test(`儲存後端（${name}）：出席、積分、API 金鑰與排程工作`, async () => {
+    const storage = create();
+    await storage.init();
+    assert.deepStrictEqual(await storage.loadCollection('attendance'), {});
+    const data = {
+      attendance: { 小明: { uid: 'U1', attended: 3, noShows: 1, lastNoShow: 1700000000000, history: [] } },
+      ratings: { Cg1: { players: { 小明: { rating: 1016, games: 1, wins: 1, losses: 0 } }, matches: [] } },
+      apiTokens: { Cg1: 'token-1' },
+      jobs: { 'reminder:Cg1:60': { id: 'reminder:Cg1:60', type: 'reminder', gid: 'Cg1', dueAt: 1700000000000, attempts: 0 } }
+    };
+    for (const key of Object.keys(data)) await storage.saveCollection(key, data[key]);
+    for (const key of Object.keys(data)) assert.deepStrictEqual(await storage.loadCollection(key), data[key]);
+
+    data.apiTokens = {};
+    await storage.saveCollection('apiTokens', data.apiTokens);
+    assert.deepStrictEqual(await storage.loadCollection('apiTokens'), {});
+    await storage.flush();
+  });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bot = require('./setup');
+
+test.before(() => bot.ready);
+
+test('接龍復原：只還原名單，付款與簽到維持目前狀態', async () => {
+  const groupId = 'Cundo';
+  Object.assign(bot.displayNames, { U1: '小明', U2: '小華' });
+  await bot.say('接龍開始\n標題{週二團}\n人數{4}', { uid: 'U0', groupId });
+  await bot.say('+1', { uid: 'U1', groupId });
+  await bot.say('+1', { uid: 'U2', groupId });
+  await bot.say('-1', { uid: 'U2', groupId });
+  await bot.say('已付', { uid: 'U1', groupId });
+  await bot.say('簽到', { uid: 'U1', groupId });
+
+  await bot.say('接龍復原', { uid: 'U2', groupId });
+  const g = bot.games[groupId];
+  assert.deepStrictEqual(g.sections[0].list, ['小明', '小華']);
+  assert.ok(g.paid['小明'], '付款標記不受復原影響');
+  assert.ok(g.checkins['小明'], '簽到不受復原影響');
+});
+
+test('接龍復原：誤開新接龍覆蓋時連同付款一起救回', async () => {
+  const groupId = 'Cundo2';
+  bot.displayNames.U1 = '小明';
+  await bot.say('接龍開始\n標題{週二團}\n人數{4}', { uid: 'U0', groupId });
+  await bot.say('+1', { uid: 'U1', groupId });
+  await bot.say('已付', { uid: 'U1', groupId });
+  await bot.say('接龍開始\n標題{新的團}\n人數{4}', { uid: 'U0', groupId });
+  assert.deepStrictEqual(bot.games[groupId].paid, {});
+
+  await bot.say('接龍復原', { uid: 'U0', groupId });
+  const g = bot.games[groupId];
+  assert.strictEqual(g.title, '週二團');
+  assert.deepStrictEqual(g.sections[0].list, ['小明']);
+  assert.ok(g.paid['小明']);
+});